@@ -24,11 +24,20 @@ function onOpen() {
     .addSubMenu(ui.createMenu('Grid API Importer')
       .addItem('Initialize Config', 'gridImporter_initConfig')
       .addItem('Import Saved Report', 'gridImporter_importReport')
+      .addItem('Import All Reports', 'gridImporter_importAllReports')
+      .addItem('Run Ad-hoc Query', 'gridImporter_runQuery')
+      .addItem('Manage Saved Reports', 'gridImporter_manageSavedReports')
+      .addItem('Apply Saved Report Changes', 'gridImporter_applySavedReportChanges')
+      .addItem('Schedule Import', 'gridImporter_scheduleImport')
+      .addItem('Resume / Abort Import', 'gridImporter_resumeOrAbortImport')
+      .addItem('Compare Snapshots', 'gridImporter_compareSnapshots')
+      .addItem('Reset Incremental Watermark', 'gridImporter_resetWatermark')
       .addItem('Clear Data', 'gridImporter_clearData'))
     .addSubMenu(ui.createMenu('Webhook Automation')
       .addItem('Setup Wizard', 'webhooks_setupWizard')
       .addItem('Manual Run Primary', 'webhooks_manualRunPrimary')
       .addItem('Manual Run Secondary', 'webhooks_manualRunSecondary')
+      .addItem('View Webhook Jobs', 'webhooks_viewJobs')
       .addItem('Initialize Config', 'webhooks_initConfig'))
     .addSubMenu(ui.createMenu('Sitemap Monitor')
       .addItem('Initialize Config', 'sitemapMonitor_initConfig')
@@ -48,10 +57,22 @@ function clearExecutionLog() {
   ObservePointTools.clearExecutionLog();
 }
 
+function gridImporter_applySavedReportChanges() {
+  ObservePointTools.gridImporter_applySavedReportChanges();
+}
+
 function gridImporter_clearData() {
   ObservePointTools.gridImporter_clearData();
 }
 
+function gridImporter_compareSnapshots() {
+  ObservePointTools.gridImporter_compareSnapshots();
+}
+
+function gridImporter_importAllReports() {
+  ObservePointTools.gridImporter_importAllReports();
+}
+
 function gridImporter_importReport() {
   ObservePointTools.gridImporter_importReport();
 }
@@ -60,6 +81,26 @@ function gridImporter_initConfig() {
   ObservePointTools.gridImporter_initConfig();
 }
 
+function gridImporter_manageSavedReports() {
+  ObservePointTools.gridImporter_manageSavedReports();
+}
+
+function gridImporter_resetWatermark() {
+  ObservePointTools.gridImporter_resetWatermark();
+}
+
+function gridImporter_resumeOrAbortImport() {
+  ObservePointTools.gridImporter_resumeOrAbortImport();
+}
+
+function gridImporter_runQuery() {
+  ObservePointTools.gridImporter_runQuery();
+}
+
+function gridImporter_scheduleImport() {
+  ObservePointTools.gridImporter_scheduleImport();
+}
+
 function initializeAllConfigs() {
   ObservePointTools.initializeAllConfigs();
 }
@@ -92,6 +133,30 @@ function webhooks_setupWizard() {
   ObservePointTools.webhooks_setupWizard();
 }
 
+function webhooks_viewJobs() {
+  ObservePointTools.webhooks_viewJobs();
+}
+
+// ============================================================================
+// Trigger Handlers - Called by time-driven triggers the library creates
+// ============================================================================
+
+function gridImporter_continueImport(e) {
+  ObservePointTools.gridImporter_continueImport(e);
+}
+
+function gridImporter_continueBatchImport(e) {
+  ObservePointTools.gridImporter_continueBatchImport(e);
+}
+
+function gridImporter_runScheduledImport(e) {
+  ObservePointTools.gridImporter_runScheduledImport(e);
+}
+
+function webhooks_processQueue(e) {
+  ObservePointTools.webhooks_processQueue(e);
+}
+
 // ============================================================================
 // Webhook Endpoint (if using Web App deployment)
 // ============================================================================
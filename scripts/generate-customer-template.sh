@@ -20,6 +20,9 @@ ONOPEN_CONTENT=$(echo "$ONOPEN_FULL" | sed '/addSubMenu(ui.createMenu.*Customer
 # Extract all function names referenced in the menu (excluding Customer Management functions)
 ALL_FUNCTIONS=$(echo "$ONOPEN_CONTENT" | grep -o "'[a-zA-Z_]*'" | tr -d "'" | grep -E "^(gridImporter_|webhooks_|sitemapMonitor_|initializeAllConfigs|showExecutionLog|clearExecutionLog)" | sort -u)
 
+# Extract the trigger handler functions the library creates time-driven triggers for
+TRIGGER_FUNCTIONS=$(sed -n '/^var TRIGGER_HANDLER_FUNCTIONS/,/\];/p' "$MAIN_FILE" | grep -o "'[a-zA-Z_]*'" | tr -d "'")
+
 # Generate the Code.js file header
 cat > "$OUTPUT_FILE" << 'EOF'
 /**
@@ -59,6 +62,23 @@ function $func() {
 EOF
 done
 
+cat >> "$OUTPUT_FILE" << 'EOF'
+// ============================================================================
+// Trigger Handlers - Called by time-driven triggers the library creates
+// ============================================================================
+
+EOF
+
+# Generate wrapper functions for trigger handlers
+for func in $TRIGGER_FUNCTIONS; do
+  cat >> "$OUTPUT_FILE" << EOF
+function $func(e) {
+  ObservePointTools.$func(e);
+}
+
+EOF
+done
+
 cat >> "$OUTPUT_FILE" << 'EOF'
 // ============================================================================
 // Webhook Endpoint (if using Web App deployment)
@@ -101,4 +121,5 @@ EOF
 echo "✅ Generated $OUTPUT_FILE with menu structure from Main.js"
 echo ""
 echo "📋 Functions included: $(echo "$ALL_FUNCTIONS" | wc -l | tr -d ' ') wrapper functions"
+echo "⏰ Trigger handlers included: $(echo "$TRIGGER_FUNCTIONS" | wc -l | tr -d ' ')"
 echo "🔄 Menu structure synced from src/Main.js (Customer Management excluded)"
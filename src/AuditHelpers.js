@@ -3,28 +3,16 @@
  */
 
 function getLatestRunId(auditId, config) {
-  const url = config.BASE_URL + '/v2/web-audits/' + auditId + '/runs?limit=1&sort=-id';
-  const options = {
-    method: 'get',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Accept': 'application/json'
-    },
-    muteHttpExceptions: true
-  };
+  let latestRun;
   
-  const response = UrlFetchApp.fetch(url, options);
-  if (response.getResponseCode() >= 300) {
-    log('WARN', 'run_fetch', 'Failed to fetch latest run for audit ' + auditId + ': ' + response.getContentText());
+  try {
+    latestRun = getApiClient(config).getLatestRun(auditId);
+  } catch (err) {
+    log('WARN', 'run_fetch', 'Failed to fetch latest run for audit ' + auditId + ': ' + err.message);
     return null;
   }
   
-  const result = JSON.parse(response.getContentText());
-  if (result && result.length > 0) {
-    return result[0].id;
-  }
-  
-  return null;
+  return latestRun ? latestRun.id : null;
 }
 
 function buildAuditUrl(auditId, config) {
@@ -13,7 +13,7 @@ function webhooks_setupWizard() {
   try {
     showWelcomeDialog();
   } catch (err) {
-    showErrorDialog('Setup Failed', 'Error: ' + err.message);
+    showErrorDialog('Setup Failed', 'Error: ' + ObservePointErrors.describe(err));
     throw err;
   }
 }
@@ -194,7 +194,7 @@ function proceedWithAutomatedSetup() {
     
   } catch (err) {
     log('ERROR', 'setup_failed', err.message);
-    showErrorDialog('Setup Failed', 'Error: ' + err.message + '<br><br>Check Execution_Log for details.');
+    showErrorDialog('Setup Failed', 'Error: ' + ObservePointErrors.describe(err) + '<br><br>Check Execution_Log for details.');
     throw err;
   }
 }
@@ -207,7 +207,7 @@ function getConfigForSetup() {
     throw new Error('Config sheet not found');
   }
   
-  const data = configSheet.getRange('A2:B10').getValues();
+  const data = configSheet.getRange('A2:B20').getValues();
   const config = {};
   
   data.forEach(function(row) {
@@ -225,27 +225,13 @@ function getConfigForSetup() {
     BROKEN_REPORT_ID: config.BROKEN_REPORT_ID || null,
     SECONDARY_AUDIT_ID: config.SECONDARY_AUDIT_ID || null,
     WEBHOOK_BASE_URL: config.WEBHOOK_BASE_URL || '',
+    COLUMN_CATALOG: String(config.COLUMN_CATALOG).toUpperCase() === 'TRUE',
     BASE_URL: 'https://api.observepoint.com'
   };
 }
 
 function fetchAuditDetails(auditId, config) {
-  const url = config.BASE_URL + '/v2/web-audits/' + auditId;
-  const options = {
-    method: 'get',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Accept': 'application/json'
-    },
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options);
-  if (response.getResponseCode() >= 300) {
-    throw new Error('Failed to fetch audit: ' + response.getContentText());
-  }
-  
-  return JSON.parse(response.getContentText());
+  return getApiClient(config).getAudit(auditId);
 }
 
 function updateConfigWithIds(primaryReportId, secondaryAuditId, secondaryReportId, primaryAuditId) {
@@ -292,22 +278,7 @@ function runPrimaryAuditAndWait(auditName) {
   const config = getConfigForSetup();
   
   try {
-    const runUrl = config.BASE_URL + '/v2/web-audits/' + config.PRIMARY_AUDIT_ID + '/runs';
-    const options = {
-      method: 'post',
-      headers: {
-        'Authorization': 'api_key ' + config.API_KEY,
-        'Content-Type': 'application/json'
-      },
-      muteHttpExceptions: true
-    };
-    
-    const response = UrlFetchApp.fetch(runUrl, options);
-    if (response.getResponseCode() >= 300) {
-      throw new Error('Failed to start audit: ' + response.getContentText());
-    }
-    
-    const result = JSON.parse(response.getContentText());
+    const result = getApiClient(config).runAudit(config.PRIMARY_AUDIT_ID) || {};
     const runId = result.id || result.runId;
     
     log('INFO', 'audit_started', 'Primary audit run started', runId);
@@ -316,7 +287,7 @@ function runPrimaryAuditAndWait(auditName) {
     
   } catch (err) {
     log('ERROR', 'audit_start_failed', err.message);
-    showErrorDialog('Failed to Start Audit', 'Error: ' + err.message);
+    showErrorDialog('Failed to Start Audit', 'Error: ' + ObservePointErrors.describe(err));
     throw err;
   }
 }
@@ -0,0 +1,241 @@
+/**
+ * Broken link history for the Broken External Links workflow
+ * 
+ * Final_Broken_Links only holds the latest run, so every secondary run also
+ * appends its Broken_Links_Summary rows (one per broken link) to
+ * Broken_Links_History, prefixed with the run date and run ID. A run without
+ * broken links is recorded as a single row without a link, so it still counts
+ * as a run. Running the secondary stage again for the same run replaces that
+ * run's rows instead of adding a second copy. Only the last
+ * BROKEN_LINKS_HISTORY_RUN_LIMIT runs are kept.
+ * 
+ * Broken_Links_Trend is rebuilt from the history after every run: one row of
+ * counts per run, a line chart of those counts over time, and the links of
+ * the latest run classified against the run before it:
+ * - New: broken now, never broken in an earlier run
+ * - Still Broken: broken now and in the previous run
+ * - Regressed: broken now, fixed in the previous run but broken before that
+ * - Fixed: broken in the previous run, not now
+ */
+
+const BROKEN_LINKS_HISTORY_PREFIX = ['Run Date', 'Run ID'];
+const BROKEN_LINKS_TREND_HEADERS = ['Run Date', 'Run ID', 'Broken Links', 'New', 'Still Broken', 'Fixed', 'Regressed'];
+const BROKEN_LINKS_CHANGE_HEADERS = ['External Link URL', 'Change', 'External Link Status Code'];
+
+// Runs kept in Broken_Links_History; older runs are deleted, and no longer
+// count when a link is classified as new or regressed
+const BROKEN_LINKS_HISTORY_RUN_LIMIT = 100;
+
+// The latest run's link changes start right of the per-run counts, and the
+// chart right of the changes
+const BROKEN_LINKS_CHANGE_COLUMN = BROKEN_LINKS_TREND_HEADERS.length + 2;
+
+const BROKEN_LINK_CHANGE_COLORS = {
+  'New': '#fce8e6',
+  'Regressed': '#fef7e0',
+  'Still Broken': '#f1f3f4',
+  'Fixed': '#e6f4ea'
+};
+
+/**
+ * Append a run's broken link summary to the history and rebuild the trend sheet
+ */
+function recordBrokenLinksRun(summary, runId) {
+  const sheet = getBrokenLinksHistorySheet(summary.headers);
+  const columnCount = BROKEN_LINKS_HISTORY_PREFIX.length + summary.headers.length;
+  const runDate = new Date();
+  
+  const replaced = removeBrokenLinksRun(sheet, runId);
+  if (replaced > 0) {
+    log('INFO', 'history', 'Replacing the ' + replaced + ' history rows already recorded for run ' + runId, runId);
+  }
+  
+  const rows = summary.rows.length > 0
+    ? summary.rows.map(function(row) { return [runDate, runId || ''].concat(row); })
+    : [[runDate, runId || ''].concat(summary.headers.map(function() { return ''; }))];
+  
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, columnCount).setValues(rows);
+  log('INFO', 'history', 'Added ' + summary.rows.length + ' broken links to ' + SHEET_NAMES.BROKEN_LINKS_HISTORY, runId);
+  
+  const runs = trimBrokenLinksHistory(sheet, readBrokenLinksHistory(sheet), runId);
+  const trend = buildBrokenLinksTrend(runs);
+  writeBrokenLinksTrend(trend);
+  
+  const latest = trend.runs[trend.runs.length - 1];
+  log('INFO', 'trend', 'Run ' + (runId || 'unknown') + ': ' + latest[3] + ' new, ' + latest[4] + ' still broken, ' + latest[5] + ' fixed, ' + latest[6] + ' regressed', runId);
+  
+  return trend;
+}
+
+function getBrokenLinksHistorySheet(headers) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SHEET_NAMES.BROKEN_LINKS_HISTORY);
+  
+  if (!sheet) {
+    const allHeaders = BROKEN_LINKS_HISTORY_PREFIX.concat(headers);
+    sheet = ss.insertSheet(SHEET_NAMES.BROKEN_LINKS_HISTORY);
+    sheet.getRange(1, 1, 1, allHeaders.length).setValues([allHeaders]);
+    sheet.getRange(1, 1, 1, allHeaders.length).setFontWeight('bold');
+    sheet.setFrozenRows(1);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Delete the rows of `runId` when it is the last run in the history.
+ * Returns the number of rows deleted.
+ */
+function removeBrokenLinksRun(sheet, runId) {
+  const lastRow = sheet.getLastRow();
+  
+  if (!runId || lastRow < 2) {
+    return 0;
+  }
+  
+  const runIds = sheet.getRange(2, 2, lastRow - 1, 1).getValues();
+  let firstRow = lastRow + 1;
+  
+  while (firstRow > 2 && String(runIds[firstRow - 3][0]) === String(runId)) {
+    firstRow--;
+  }
+  
+  const count = lastRow - firstRow + 1;
+  if (count > 0) {
+    sheet.deleteRows(firstRow, count);
+  }
+  return count;
+}
+
+/**
+ * Delete the oldest runs beyond BROKEN_LINKS_HISTORY_RUN_LIMIT. Returns the
+ * runs that are kept.
+ */
+function trimBrokenLinksHistory(sheet, runs, runId) {
+  const excess = runs.slice(0, Math.max(0, runs.length - BROKEN_LINKS_HISTORY_RUN_LIMIT));
+  
+  if (excess.length === 0) {
+    return runs;
+  }
+  
+  const rowCount = excess.reduce(function(total, run) {
+    return total + run.rowCount;
+  }, 0);
+  sheet.deleteRows(2, rowCount);
+  log('INFO', 'history', 'Removed the ' + excess.length + ' oldest runs from ' + SHEET_NAMES.BROKEN_LINKS_HISTORY, runId);
+  
+  return runs.slice(excess.length);
+}
+
+/**
+ * The history as runs in recorded order: { runDate, runId, links, rowCount },
+ * where `links` maps each broken link URL of the run to its status code
+ */
+function readBrokenLinksHistory(sheet) {
+  const values = sheet.getDataRange().getValues();
+  const headers = values[0] || [];
+  const linkIndex = headers.indexOf('External Link URL');
+  const statusIndex = headers.indexOf('External Link Status Code');
+  const runs = [];
+  let run = null;
+  
+  for (let i = 1; i < values.length; i++) {
+    const row = values[i];
+    const runDate = row[0];
+    const key = (runDate instanceof Date ? runDate.getTime() : String(runDate)) + '|' + row[1];
+    
+    if (!run || run.key !== key) {
+      run = { key: key, runDate: runDate, runId: row[1], links: {}, rowCount: 0 };
+      runs.push(run);
+    }
+    
+    run.rowCount++;
+    if (linkIndex >= 0 && row[linkIndex]) {
+      run.links[row[linkIndex]] = statusIndex >= 0 ? row[statusIndex] : '';
+    }
+  }
+  
+  return runs;
+}
+
+/**
+ * Per-run counts, and the link changes of the latest run
+ */
+function buildBrokenLinksTrend(runs) {
+  const everBroken = {};
+  const trendRows = [];
+  let changes = [];
+  
+  runs.forEach(function(run, i) {
+    const previous = i > 0 ? runs[i - 1].links : {};
+    const counts = { 'New': 0, 'Still Broken': 0, 'Fixed': 0, 'Regressed': 0 };
+    const runChanges = [];
+    
+    Object.keys(run.links).forEach(function(linkUrl) {
+      let change;
+      if (previous.hasOwnProperty(linkUrl)) {
+        change = 'Still Broken';
+      } else if (everBroken[linkUrl]) {
+        change = 'Regressed';
+      } else {
+        change = 'New';
+      }
+      counts[change]++;
+      runChanges.push([linkUrl, change, run.links[linkUrl]]);
+    });
+    
+    Object.keys(previous).forEach(function(linkUrl) {
+      if (!run.links.hasOwnProperty(linkUrl)) {
+        counts['Fixed']++;
+        runChanges.push([linkUrl, 'Fixed', previous[linkUrl]]);
+      }
+    });
+    
+    Object.keys(run.links).forEach(function(linkUrl) {
+      everBroken[linkUrl] = true;
+    });
+    
+    trendRows.push([run.runDate, run.runId, Object.keys(run.links).length, counts['New'], counts['Still Broken'], counts['Fixed'], counts['Regressed']]);
+    changes = runChanges;
+  });
+  
+  return { runs: trendRows, changes: changes };
+}
+
+function writeBrokenLinksTrend(trend) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SHEET_NAMES.BROKEN_LINKS_TREND);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(SHEET_NAMES.BROKEN_LINKS_TREND);
+  } else {
+    sheet.getCharts().forEach(function(chart) {
+      sheet.removeChart(chart);
+    });
+    sheet.clear();
+  }
+  
+  const runRows = [BROKEN_LINKS_TREND_HEADERS].concat(trend.runs);
+  sheet.getRange(1, 1, runRows.length, BROKEN_LINKS_TREND_HEADERS.length).setValues(runRows);
+  sheet.getRange(1, 1, 1, BROKEN_LINKS_TREND_HEADERS.length).setFontWeight('bold');
+  
+  const changeRows = [BROKEN_LINKS_CHANGE_HEADERS].concat(trend.changes);
+  sheet.getRange(1, BROKEN_LINKS_CHANGE_COLUMN, changeRows.length, BROKEN_LINKS_CHANGE_HEADERS.length).setValues(changeRows);
+  sheet.getRange(1, BROKEN_LINKS_CHANGE_COLUMN, 1, BROKEN_LINKS_CHANGE_HEADERS.length).setFontWeight('bold');
+  if (trend.changes.length > 0) {
+    sheet.getRange(2, BROKEN_LINKS_CHANGE_COLUMN + 1, trend.changes.length, 1).setBackgrounds(trend.changes.map(function(change) {
+      return [BROKEN_LINK_CHANGE_COLORS[change[1]]];
+    }));
+  }
+  sheet.setFrozenRows(1);
+  
+  // Run Date is the x axis; the Run ID column is left out of the chart
+  const chart = sheet.newChart()
+    .setChartType(Charts.ChartType.LINE)
+    .addRange(sheet.getRange(1, 1, runRows.length, 1))
+    .addRange(sheet.getRange(1, 3, runRows.length, BROKEN_LINKS_TREND_HEADERS.length - 2))
+    .setPosition(1, BROKEN_LINKS_CHANGE_COLUMN + BROKEN_LINKS_CHANGE_HEADERS.length + 1, 0, 0)
+    .setOption('title', 'Broken links per run')
+    .build();
+  sheet.insertChart(chart);
+}
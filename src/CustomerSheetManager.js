@@ -249,11 +249,20 @@ function onOpen() {
     .addSubMenu(ui.createMenu('Grid API Importer')
       .addItem('Initialize Config', 'gridImporter_initConfig')
       .addItem('Import Saved Report', 'gridImporter_importReport')
+      .addItem('Import All Reports', 'gridImporter_importAllReports')
+      .addItem('Run Ad-hoc Query', 'gridImporter_runQuery')
+      .addItem('Manage Saved Reports', 'gridImporter_manageSavedReports')
+      .addItem('Apply Saved Report Changes', 'gridImporter_applySavedReportChanges')
+      .addItem('Schedule Import', 'gridImporter_scheduleImport')
+      .addItem('Resume / Abort Import', 'gridImporter_resumeOrAbortImport')
+      .addItem('Compare Snapshots', 'gridImporter_compareSnapshots')
+      .addItem('Reset Incremental Watermark', 'gridImporter_resetWatermark')
       .addItem('Clear Data', 'gridImporter_clearData'))
     .addSubMenu(ui.createMenu('Webhook Automation')
       .addItem('Setup Wizard', 'webhooks_setupWizard')
       .addItem('Manual Run Primary', 'webhooks_manualRunPrimary')
       .addItem('Manual Run Secondary', 'webhooks_manualRunSecondary')
+      .addItem('View Webhook Jobs', 'webhooks_viewJobs')
       .addItem('Initialize Config', 'webhooks_initConfig'))
     .addSubMenu(ui.createMenu('Sitemap Monitor')
       .addItem('Initialize Config', 'sitemapMonitor_initConfig')
@@ -273,8 +282,22 @@ function onOpen() {
 
   // Generate wrapper functions
   menuFunctions.sort().forEach(function(funcName) {
-    code += `function ${funcName}() {
-  ObservePointTools.${funcName}();
+    code += `function ${funcName}(e) {
+  ObservePointTools.${funcName}(e);
+}
+
+`;
+  });
+  
+  code += `// ============================================================================
+// Trigger Handlers - Called by time-driven triggers the library creates
+// ============================================================================
+
+`;
+  
+  TRIGGER_HANDLER_FUNCTIONS.forEach(function(funcName) {
+    code += `function ${funcName}(e) {
+  ObservePointTools.${funcName}(e);
 }
 
 `;
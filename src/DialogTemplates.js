@@ -275,7 +275,9 @@ function handleSetupCompleteChoice(choice) {
 function handleSecondaryAuditChoice(choice) {
   if (choice === 'run') {
     // Process primary data AND trigger secondary audit
-    handlePrimaryAuditComplete();
+    withWebhookRunLease(function() {
+      handlePrimaryAuditComplete(getManualRun('primary'));
+    });
     showSuccessDialog(
       'Secondary Audit Started ✅',
       'Primary report data has been processed.<br><br>' +
@@ -285,8 +287,10 @@ function handleSecondaryAuditChoice(choice) {
     );
   } else if (choice === 'process') {
     // Process both reports WITHOUT running audits
-    processPrimaryReportData();
-    handleSecondaryAuditComplete();
+    withWebhookRunLease(function() {
+      processPrimaryReportData(getManualRun('primary'));
+      handleSecondaryAuditComplete(getManualRun('secondary'));
+    });
     showSuccessDialog(
       'Processing Complete ✅',
       'Both primary and secondary audit data have been processed.<br><br>' +
@@ -16,17 +16,13 @@ const GRID_DATA_SHEET_NAME = 'Imported_Data';
 const GRID_PROGRESS_SHEET_NAME = 'GridImporter_Progress';
 const LOG_SHEET_NAME = 'Execution_Log';
 
-const GRID_API_BASE = 'https://api.observepoint.com/v3/reports/grid';
 const ROWS_PER_PAGE = 10000;
-const MAX_SHEET_ROWS = 10000000;
 
-// Global progress tracking
-var IMPORT_PROGRESS = {
-  status: 'Not started',
-  details: '',
-  percent: 0,
-  complete: false
-};
+// Stop well short of the 6-minute Apps Script limit and continue in a new execution
+const MAX_EXECUTION_MS = 4.5 * 60 * 1000;
+
+// Top-level code runs once at the start of every execution
+const EXECUTION_STARTED_AT = new Date().getTime();
 
 function gridImporter_initConfig() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
@@ -43,7 +39,24 @@ function gridImporter_initConfig() {
     ['OP_API_KEY', '', 'Your ObservePoint API key'],
     ['SAVED_REPORT_ID', '', 'The ID of the saved report to import'],
     ['BATCH_SIZE', '50000', 'Number of rows to write at once'],
-    ['MAX_PAGES', '', 'Maximum pages to fetch (leave empty for all pages)']
+    ['MAX_PAGES', '', 'Maximum pages to fetch (leave empty for all pages)'],
+    ['EXPORT_TARGET', 'Sheet', 'Sheet, CSV in Drive or JSONL in Drive'],
+    ['EXPORT_GZIP', 'FALSE', 'TRUE to gzip Drive export files'],
+    ['IMPORT_MODE', 'Snapshot', 'Snapshot (new sheet per run) or Incremental (append new rows only)'],
+    ['TARGET_SHEET', '', 'Incremental: sheet to append to (default: report name)'],
+    ['WATERMARK_COLUMN', '', 'Incremental: increasing ID/timestamp column whose max value marks imported rows (empty: row hashes)'],
+    ['RUN_DATE_FILTER_COLUMN', '', 'Incremental: date column filtered to >= the last run date (optional)'],
+    ['FILTER_AUDIT_IDS', '', 'Override: comma-separated audit IDs (replaces the report\'s AUDIT_ID filter)'],
+    ['FILTER_RUN_DATE_COLUMN', 'RUN_DATE', 'Override: date column for FILTER_RUN_DATE_FROM/TO'],
+    ['FILTER_RUN_DATE_FROM', '', 'Override: first run date (yyyy-MM-dd)'],
+    ['FILTER_RUN_DATE_TO', '', 'Override: last run date (yyyy-MM-dd)'],
+    ['FILTER_MOST_RECENT_RUN', '', 'Override: TRUE for the most recent run only, FALSE for all runs (empty: as in report)'],
+    ['FILTER_MOST_RECENT_PAGE_SCAN', '', 'Override: TRUE for the most recent page scan only, FALSE for all scans (empty: as in report)'],
+    ['FILTER_CONDITIONS', '', 'Override: one "[NOT] COLUMN_ID operator arg1, arg2" per line (replaces report conditions on that column)'],
+    ['COLUMN_LABELS', 'FALSE', 'TRUE to use human-readable column labels as headers instead of column IDs'],
+    ['COLUMN_MAPPING', '', 'One per line: COLUMN_ID = Header (rename), COLUMN_ID (keep in this order), -COLUMN_ID (drop)'],
+    ['COERCE_TYPES', 'FALSE', 'TRUE to convert values by column type (dates, numbers, booleans as checkboxes)'],
+    ['COLUMN_CATALOG', 'FALSE', 'TRUE to load column labels, types and query checks from the Grid column catalog (undocumented API endpoint)']
   ];
   
   configSheet.getRange(1, 1, headers.length, 3).setValues(headers);
@@ -82,7 +95,7 @@ function getConfigValue(key) {
     throw new Error('Config sheet not found. Run initializeConfig() first.');
   }
   
-  const data = configSheet.getRange('A2:B10').getValues();
+  const data = configSheet.getRange('A2:B40').getValues();
   
   for (let i = 0; i < data.length; i++) {
     if (data[i][0] === key) {
@@ -118,13 +131,25 @@ function gridImporter_importReport() {
     const reportId = getConfigValue('SAVED_REPORT_ID');
     const batchSize = parseInt(getConfigValue('BATCH_SIZE')) || 50000;
     const maxPages = getConfigValue('MAX_PAGES') ? parseInt(getConfigValue('MAX_PAGES')) : null;
+    const exportTarget = getConfigValue('EXPORT_TARGET');
+    const gzip = String(getConfigValue('EXPORT_GZIP')).toUpperCase() === 'TRUE';
+    const mode = getConfigValue('IMPORT_MODE');
     
     if (!apiKey || !reportId) {
       throw new Error('Config missing or incomplete. Please fill in OP_API_KEY and SAVED_REPORT_ID in the GridImporter_Config sheet.');
     }
     
     // Run import with config from sheet
-    executeGridImport(apiKey, reportId, batchSize, maxPages);
+    executeGridImport(apiKey, reportId, batchSize, maxPages, null, {
+      exportTarget: exportTarget,
+      gzip: gzip,
+      mode: mode,
+      targetSheet: getConfigValue('TARGET_SHEET'),
+      watermarkColumn: getConfigValue('WATERMARK_COLUMN'),
+      runDateFilterColumn: getConfigValue('RUN_DATE_FILTER_COLUMN'),
+      filters: getFilterOverridesFromConfig(),
+      columns: getColumnOptionsFromConfig()
+    });
     
   } catch (e) {
     throw new Error(
@@ -139,24 +164,8 @@ function gridImporter_importReport() {
 }
 
 function getQueryDefinition(apiKey, reportId) {
-  const url = `${GRID_API_BASE}/saved/${reportId}`;
-  
-  const options = {
-    method: 'get',
-    headers: {
-      'Authorization': `api_key ${apiKey}`,
-      'Accept': 'application/json'
-    },
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options);
-  
-  if (response.getResponseCode() >= 300) {
-    throw new Error(`Failed to fetch saved report ${reportId}: ${response.getContentText()}`);
-  }
-  
-  const savedReport = JSON.parse(response.getContentText());
+  const client = new ObservePointClient(apiKey);
+  const savedReport = client.getSavedReport(reportId);
   
   if (!savedReport.queryDefinition) {
     throw new Error(`No query definition found in saved report ${reportId}`);
@@ -178,107 +187,172 @@ function getQueryDefinition(apiKey, reportId) {
   };
 }
 
-function fetchAllData(apiKey, gridEntityType, queryDefinition, batchSize, maxPages, sheetName) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  
-  // Always create a new sheet with unique name
-  const dataSheet = ss.insertSheet(sheetName);
+/**
+ * Fetch pages into the import's target sheets, starting from the checkpoint in `state`.
+ * Once the first page reveals the page count, pages are fetched in parallel
+ * batches (ObservePointClient.fetchGridPages) and written in page order.
+ * Rows roll over to new sheets/spreadsheets as each reaches its cell budget.
+ * Stops early once MAX_EXECUTION_MS has elapsed so the import can be continued
+ * in a later execution, or when the job's cancellation is requested between pages.
+ * `state` is updated in place and checkpointed after every write.
+ * Returns 'complete', 'paused' or 'cancelled'.
+ */
+function fetchAllData(apiKey, state) {
+  // Fail fast if the sheet being written to was deleted while the import was paused
+  if (!isFileExport(state)) {
+    getImportPartSheet(state);
+  }
   
-  let currentPage = 0;
-  let totalRows = 0;
+  const client = new ObservePointClient(apiKey, { columnCatalog: isColumnCatalogEnabled() });
+  const runStart = new Date();
+  const runStartPage = state.nextPage;
+  let currentPage = state.nextPage;
   let allRows = [];
-  let columnHeaders = null;
-  let currentSheetRow = 2; // Track current row in sheet (1 is header)
+  let lastPageReached = false;
   
-  while (true) {
-    if (maxPages && currentPage >= maxPages) {
+  while (!lastPageReached) {
+    if (state.maxPages && currentPage >= state.maxPages) {
       log('INFO', 'max_pages_reached', `Stopped at page ${currentPage} (max pages limit)`);
       break;
     }
     
-    log('INFO', 'fetch_page', `Fetching page ${currentPage + 1}...`);
-    
-    const pageData = fetchGridPage(apiKey, gridEntityType, queryDefinition, currentPage);
-    
-    if (!pageData || !pageData.rows || pageData.rows.length === 0) {
-      log('INFO', 'no_more_data', `No more data at page ${currentPage + 1}`);
-      break;
-    }
-    
-    if (currentPage === 0) {
-      // Extract column headers from metadata
-      if (pageData.metadata && pageData.metadata.headers) {
-        columnHeaders = pageData.metadata.headers.map(function(h) {
-          return h.column.columnId;
-        });
-      } else if (queryDefinition.columns) {
-        columnHeaders = queryDefinition.columns.map(function(c) {
-          return c.columnId;
-        });
-      } else {
-        throw new Error('No column headers found in API response');
-      }
-      
-      log('INFO', 'columns_found', `Found ${columnHeaders.length} columns: ${columnHeaders.join(', ')}`);
+    if (isImportCancelRequested(state.jobId)) {
+      flushImportRows(state, allRows, currentPage);
+      log('INFO', 'import_cancelled', `Import cancelled before page ${currentPage + 1} (${state.totalRows} rows kept)`);
+      return 'cancelled';
     }
     
-    // Rows are already in array format, just use them directly
-    const rowsData = pageData.rows || [];
-    allRows = allRows.concat(rowsData);
-    totalRows += rowsData.length;
-    
-    log('INFO', 'page_fetched', `Page ${currentPage + 1}: ${rowsData.length} rows (total: ${totalRows})`);
-    
-    if (allRows.length >= batchSize) {
-      currentSheetRow = writeToSheet(dataSheet, columnHeaders, allRows, currentPage === 0, currentSheetRow);
-      allRows = [];
+    if (getExecutionElapsedMs() > MAX_EXECUTION_MS) {
+      flushImportRows(state, allRows, currentPage);
+      log('INFO', 'import_paused', `Execution time budget reached at page ${currentPage + 1} (${state.totalRows} rows so far)`);
+      return 'paused';
     }
     
-    if (pageData.rows.length < ROWS_PER_PAGE) {
-      log('INFO', 'last_page', `Last page reached (${pageData.rows.length} rows < ${ROWS_PER_PAGE})`);
-      break;
-    }
+    const pages = getPagesToFetch(state, currentPage, client.parallelism);
+    log('INFO', 'fetch_page', pages.length === 1 ? `Fetching page ${currentPage + 1}...` : `Fetching pages ${currentPage + 1}-${currentPage + pages.length}...`);
     
-    currentPage++;
+    const pageResults = client.fetchGridPages(state.gridEntityType, state.queryDefinition, pages, ROWS_PER_PAGE);
     
-    if (totalRows >= MAX_SHEET_ROWS) {
-      log('WARN', 'max_rows_reached', `Reached Google Sheets maximum row limit (${MAX_SHEET_ROWS})`);
-      break;
+    for (let i = 0; i < pageResults.length; i++) {
+      const pageData = pageResults[i];
+      
+      if (!pageData || !pageData.rows || pageData.rows.length === 0) {
+        log('INFO', 'no_more_data', `No more data at page ${currentPage + 1}`);
+        lastPageReached = true;
+        break;
+      }
+      
+      if (!state.totalPages && pageData.metadata && pageData.metadata.pagination) {
+        state.totalPages = pageData.metadata.pagination.totalPageCount || null;
+      }
+      
+      if (!state.columnHeaders) {
+        // Extract column headers from metadata
+        if (pageData.metadata && pageData.metadata.headers) {
+          state.columnHeaders = pageData.metadata.headers.map(function(h) {
+            return h.column.columnId;
+          });
+        } else if (state.queryDefinition.columns) {
+          state.columnHeaders = state.queryDefinition.columns.map(function(c) {
+            return c.columnId;
+          });
+        } else {
+          throw new Error('No column headers found in API response');
+        }
+        
+        log('INFO', 'columns_found', `Found ${state.columnHeaders.length} columns: ${state.columnHeaders.join(', ')}`);
+      }
+      
+      if (!state.outputHeaders) {
+        prepareOutputColumns(state, pageData.metadata);
+        
+        if (state.appendStartRow) {
+          checkAppendTargetHeaders(state);
+        }
+      }
+      
+      // Rows are already in array format, just use them directly
+      const rowsData = pageData.rows || [];
+      allRows = allRows.concat(state.mode === 'incremental' ? filterIncrementalRows(state, rowsData) : rowsData);
+      state.totalRows += rowsData.length;
+      
+      log('INFO', 'page_fetched', `Page ${currentPage + 1}: ${rowsData.length} rows (total: ${state.totalRows})`);
+      
+      if (pageData.rows.length < ROWS_PER_PAGE) {
+        log('INFO', 'last_page', `Last page reached (${pageData.rows.length} rows < ${ROWS_PER_PAGE})`);
+        lastPageReached = true;
+        break;
+      }
+      
+      currentPage++;
+      reportFetchProgress(state, currentPage, runStart, runStartPage);
+      
+      if (allRows.length >= state.batchSize) {
+        flushImportRows(state, allRows, currentPage);
+        allRows = [];
+      }
     }
   }
   
-  if (allRows.length > 0) {
-    writeToSheet(dataSheet, columnHeaders, allRows, currentPage === 0 && totalRows === allRows.length, currentSheetRow);
-  }
+  flushImportRows(state, allRows, currentPage);
   
-  return totalRows;
+  return 'complete';
 }
 
-function fetchGridPage(apiKey, gridEntityType, queryDefinition, page) {
-  const url = `${GRID_API_BASE}/${gridEntityType}`;
-  
-  const payload = JSON.parse(JSON.stringify(queryDefinition));
-  payload.page = page;
-  payload.size = ROWS_PER_PAGE;
-  
-  const options = {
-    method: 'post',
-    headers: {
-      'Authorization': `api_key ${apiKey}`,
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
+/**
+ * Write buffered rows and checkpoint the import so it resumes at `nextPage`
+ */
+function flushImportRows(state, rows, nextPage) {
+  rows = transformImportRows(state, rows);
+  
+  if (rows.length > 0) {
+    updateImportProgress(state.jobId, { phase: 'writing', status: `Writing ${rows.length.toLocaleString()} rows to ${state.sheetName}...` });
+  }
   
-  const response = UrlFetchApp.fetch(url, options);
+  if (isFileExport(state)) {
+    writeExportFiles(state, rows);
+  } else {
+    writeImportRows(state, rows);
+  }
   
-  if (response.getResponseCode() >= 300) {
-    throw new Error(`Failed to fetch grid data (page ${page}): ${response.getContentText()}`);
+  if (state.mode === 'incremental') {
+    saveIncrementalRowHashes();
   }
   
-  return JSON.parse(response.getContentText());
+  state.nextPage = nextPage;
+  saveImportState(state);
+  
+  if (!isFileExport(state)) {
+    updateImportIndex(state);
+  }
+}
+
+/**
+ * Time spent in the current execution, which may run several imports in a row
+ */
+function getExecutionElapsedMs() {
+  return new Date().getTime() - EXECUTION_STARTED_AT;
+}
+
+/**
+ * Pages to request next: only `currentPage` until page 0 has revealed the
+ * page count, then up to `parallelism` pages, within the page count and maxPages
+ */
+function getPagesToFetch(state, currentPage, parallelism) {
+  if (!state.totalPages) {
+    return [currentPage];
+  }
+  
+  let lastPage = Math.min(state.totalPages, currentPage + parallelism);
+  if (state.maxPages) {
+    lastPage = Math.min(lastPage, state.maxPages);
+  }
+  
+  const pages = [];
+  for (let page = currentPage; page < Math.max(lastPage, currentPage + 1); page++) {
+    pages.push(page);
+  }
+  return pages;
 }
 
 // No longer needed - columns come from metadata.headers
@@ -294,6 +368,11 @@ function writeToSheet(sheet, headers, rows, isFirstBatch, currentRow) {
   
   if (isFirstBatch) {
     sheet.clear();
+    
+    // Drop unused columns so the sheet only counts its real columns against the cell limit
+    if (sheet.getMaxColumns() > headers.length) {
+      sheet.deleteColumns(headers.length + 1, sheet.getMaxColumns() - headers.length);
+    }
     sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
     sheet.getRange(1, 1, 1, headers.length)
       .setFontWeight('bold')
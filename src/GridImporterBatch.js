@@ -0,0 +1,343 @@
+/**
+ * Batch imports for Grid Importer
+ * "Import All Reports" imports every enabled report listed in the
+ * GridImporter_Reports sheet, one after another, and writes each report's
+ * status, row count, duration and error back to its row. The position in the
+ * list is checkpointed in document properties, so when the time limit hits
+ * mid-list (or mid-report) a trigger continues the batch in a new execution.
+ */
+
+const GRID_REPORTS_SHEET_NAME = 'GridImporter_Reports';
+const GRID_BATCH_STATE_KEY = 'GRID_BATCH_STATE';
+const GRID_BATCH_CONTINUE_HANDLER = 'gridImporter_continueBatchImport';
+
+const GRID_BATCH_HEADERS = [
+  'Report ID', 'Target Sheet', 'Mode', 'Enabled',
+  'Status', 'Rows', 'Duration (s)', 'Last Run', 'Error'
+];
+
+// Sheet values of the Mode column and the import modes they run
+const GRID_BATCH_MODES = {
+  'Replace': 'replace',
+  'Append': 'append',
+  'New Snapshot': 'snapshot'
+};
+
+// First of the columns written back by the batch (Status)
+const GRID_BATCH_STATUS_COLUMN = 5;
+
+function getReportsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(GRID_REPORTS_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(GRID_REPORTS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, GRID_BATCH_HEADERS.length).setValues([GRID_BATCH_HEADERS]);
+    sheet.getRange(1, 1, 1, GRID_BATCH_HEADERS.length)
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('#ffffff');
+    sheet.setFrozenRows(1);
+    
+    const modeRule = SpreadsheetApp.newDataValidation()
+      .requireValueInList(Object.keys(GRID_BATCH_MODES))
+      .build();
+    sheet.getRange(2, 3, 200, 1).setDataValidation(modeRule);
+    sheet.getRange(2, 4, 200, 1).insertCheckboxes();
+  }
+  
+  return sheet;
+}
+
+/**
+ * Reports listed in the GridImporter_Reports sheet
+ */
+function getBatchReports() {
+  const sheet = getReportsSheet();
+  const lastRow = sheet.getLastRow();
+  
+  if (lastRow < 2) {
+    return [];
+  }
+  
+  return sheet.getRange(2, 1, lastRow - 1, 4).getValues().map(function(row, i) {
+    return {
+      row: i + 2,
+      reportId: String(row[0]).trim(),
+      targetSheet: String(row[1]).trim(),
+      mode: String(row[2]).trim() || 'New Snapshot',
+      enabled: row[3] === true || String(row[3]).toUpperCase() === 'TRUE'
+    };
+  }).filter(function(report) {
+    return report.reportId;
+  });
+}
+
+function loadBatchState() {
+  const json = PropertiesService.getDocumentProperties().getProperty(GRID_BATCH_STATE_KEY);
+  return json ? JSON.parse(json) : null;
+}
+
+function saveBatchState(batch) {
+  PropertiesService.getDocumentProperties().setProperty(GRID_BATCH_STATE_KEY, JSON.stringify(batch));
+}
+
+function clearBatchState() {
+  PropertiesService.getDocumentProperties().deleteProperty(GRID_BATCH_STATE_KEY);
+  deleteImportContinuationTriggers(GRID_BATCH_CONTINUE_HANDLER);
+}
+
+/**
+ * Menu entry: import every enabled report in the GridImporter_Reports sheet,
+ * or continue the batch in progress
+ */
+function gridImporter_importAllReports() {
+  const ui = SpreadsheetApp.getUi();
+  
+  if (!loadBatchState()) {
+    if (loadImportState()) {
+      ui.alert('Another Grid import is still in progress. Use "Resume / Abort Import" to finish or abort it first.');
+      return;
+    }
+    
+    const reports = getBatchReports().filter(function(report) {
+      return report.enabled;
+    });
+    
+    if (reports.length === 0) {
+      ui.alert(`Add report IDs to the ${GRID_REPORTS_SHEET_NAME} sheet and tick Enabled, then run Import All Reports again.`);
+      return;
+    }
+    
+    const invalid = reports.filter(function(report) {
+      return !GRID_BATCH_MODES[report.mode];
+    });
+    if (invalid.length > 0) {
+      ui.alert(`Unknown mode "${invalid[0].mode}" for report ${invalid[0].reportId}. Use one of: ${Object.keys(GRID_BATCH_MODES).join(', ')}`);
+      return;
+    }
+    
+    startBatchImport(reports);
+  }
+  
+  const result = gridImporter_continueBatchImport();
+  
+  if (!result) {
+    ui.alert('The batch import is already running in another execution.');
+  } else if (result.status === 'complete') {
+    ui.alert(`Imported ${result.succeeded} of ${result.total} reports. See ${GRID_REPORTS_SHEET_NAME} for details.`);
+  } else {
+    ui.alert(`Imported ${result.processed} of ${result.total} reports so far. The rest will continue automatically in about a minute.`);
+  }
+}
+
+/**
+ * Checkpoint a new batch and mark its reports as queued
+ */
+function startBatchImport(reports) {
+  const batch = {
+    batchId: Utilities.getUuid(),
+    reports: reports,
+    index: 0,
+    jobId: null,
+    succeeded: 0,
+    startedAt: new Date().getTime()
+  };
+  
+  reports.forEach(function(report) {
+    writeBatchStatus(report, ['Queued', '', '', '', '']);
+  });
+  
+  saveBatchState(batch);
+  log('INFO', 'batch_start', `Starting batch import of ${reports.length} reports (batch ${batch.batchId})`);
+  
+  return batch;
+}
+
+/**
+ * Trigger handler: continue the batch from its checkpoint
+ */
+function gridImporter_continueBatchImport() {
+  const lock = LockService.getDocumentLock();
+  
+  if (!lock.tryLock(1000)) {
+    // Try again later, as gridImporter_continueImport does
+    if (loadBatchState()) {
+      scheduleImportContinuation(GRID_BATCH_CONTINUE_HANDLER);
+    }
+    log('INFO', 'batch_resume_skipped', 'Grid import is already running in another execution');
+    return null;
+  }
+  
+  try {
+    deleteImportContinuationTriggers(GRID_BATCH_CONTINUE_HANDLER);
+    
+    const batch = loadBatchState();
+    if (!batch) {
+      log('INFO', 'batch_resume_skipped', 'No batch import to continue');
+      return null;
+    }
+    
+    return runBatchImport(batch);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Import the batch's remaining reports for as long as this execution allows.
+ * Returns the batch status: 'complete' or 'paused'.
+ */
+function runBatchImport(batch) {
+  const apiKey = getConfigValue('OP_API_KEY');
+  const batchSize = parseInt(getConfigValue('BATCH_SIZE')) || 50000;
+  
+  // Finish the report the batch paused in
+  if (batch.jobId) {
+    const importState = loadImportState();
+    
+    if (importState && importState.jobId === batch.jobId) {
+      const result = runGridImport(apiKey, importState);
+      if (result.success && result.status === 'paused') {
+        return pauseBatchImport(batch, false);
+      }
+      recordBatchResult(batch, result);
+    } else {
+      // Finished from the "Resume / Abort Import" menu in the meantime
+      recordBatchProgress(batch, getImportProgress(batch.jobId));
+    }
+  }
+  
+  while (batch.index < batch.reports.length) {
+    if (getExecutionElapsedMs() > MAX_EXECUTION_MS) {
+      return pauseBatchImport(batch, true);
+    }
+    
+    if (loadImportState()) {
+      log('INFO', 'batch_waiting', 'Another Grid import is in progress, the batch will continue after it');
+      return pauseBatchImport(batch, true);
+    }
+    
+    const report = batch.reports[batch.index];
+    batch.jobId = Utilities.getUuid();
+    saveBatchState(batch);
+    writeBatchStatus(report, ['Running', '', '', new Date(), '']);
+    log('INFO', 'batch_report', `Batch report ${batch.index + 1} of ${batch.reports.length}: ${report.reportId} (${report.mode})`);
+    
+    const result = executeGridImport(apiKey, report.reportId, batchSize, null, batch.jobId, {
+      mode: GRID_BATCH_MODES[report.mode],
+      targetSheet: report.targetSheet,
+      continueHandler: GRID_BATCH_CONTINUE_HANDLER
+    });
+    
+    if (result.success && result.status === 'paused') {
+      writeBatchStatus(report, ['Paused - continuing in about a minute']);
+      return pauseBatchImport(batch, false);
+    }
+    
+    recordBatchResult(batch, result);
+  }
+  
+  clearBatchState();
+  log('INFO', 'batch_complete', `Batch import finished: ${batch.succeeded} of ${batch.reports.length} reports imported`);
+  
+  return batchSummary(batch, 'complete');
+}
+
+/**
+ * Checkpoint the batch; `scheduleContinuation` is false when the paused
+ * report import has already scheduled the batch's continuation trigger
+ */
+function pauseBatchImport(batch, scheduleContinuation) {
+  saveBatchState(batch);
+  
+  if (scheduleContinuation) {
+    scheduleImportContinuation(GRID_BATCH_CONTINUE_HANDLER);
+  }
+  
+  log('INFO', 'batch_paused', `Batch import paused at report ${batch.index + 1} of ${batch.reports.length}`);
+  return batchSummary(batch, 'paused');
+}
+
+/**
+ * Write the outcome of the current report to its row and move to the next one.
+ * A failed import is aborted so its checkpoint does not block the rest of the batch.
+ */
+function recordBatchResult(batch, result) {
+  const report = batch.reports[batch.index];
+  
+  if (!result.success) {
+    const importState = loadImportState();
+    if (importState && importState.jobId === batch.jobId) {
+      abortGridImport();
+    }
+    writeBatchStatus(report, ['Failed', '', '', new Date(), result.error]);
+  } else if (result.complete) {
+    batch.succeeded++;
+    writeBatchStatus(report, ['Done', result.totalRows, result.duration, new Date(), '']);
+  } else {
+    writeBatchStatus(report, ['Cancelled', result.totalRows, result.duration, new Date(), '']);
+  }
+  
+  log(result.success ? 'INFO' : 'ERROR', 'batch_report_done', `Batch report ${report.reportId}: ${result.success ? result.status + ', ' + result.totalRows + ' rows' : result.error}`);
+  
+  batch.jobId = null;
+  batch.index++;
+  saveBatchState(batch);
+}
+
+/**
+ * Record a report whose import was finished or aborted outside the batch,
+ * from its job progress
+ */
+function recordBatchProgress(batch, progress) {
+  const report = batch.reports[batch.index];
+  const phase = progress ? progress.phase : null;
+  
+  if (phase === 'complete') {
+    batch.succeeded++;
+  }
+  
+  writeBatchStatus(report, [
+    phase === 'complete' ? 'Done' : (phase === 'failed' ? 'Failed' : 'Cancelled'),
+    progress && progress.rowsWritten !== undefined ? progress.rowsWritten : '',
+    '',
+    new Date(),
+    phase === 'failed' ? progress.details : ''
+  ]);
+  
+  batch.jobId = null;
+  batch.index++;
+  saveBatchState(batch);
+}
+
+/**
+ * Write status values (Status, Rows, Duration, Last Run, Error) to a report's
+ * row, looking the row up by report ID if rows were moved during the batch
+ */
+function writeBatchStatus(report, values) {
+  const sheet = getReportsSheet();
+  let row = report.row;
+  
+  if (String(sheet.getRange(row, 1).getValue()).trim() !== report.reportId) {
+    const match = getBatchReports().filter(function(r) {
+      return r.reportId === report.reportId;
+    })[0];
+    if (!match) {
+      return;
+    }
+    row = match.row;
+  }
+  
+  sheet.getRange(row, GRID_BATCH_STATUS_COLUMN, 1, values.length).setValues([values]);
+}
+
+function batchSummary(batch, status) {
+  return {
+    batchId: batch.batchId,
+    status: status,
+    total: batch.reports.length,
+    processed: batch.index,
+    succeeded: batch.succeeded
+  };
+}
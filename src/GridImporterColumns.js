@@ -0,0 +1,268 @@
+/**
+ * Column output options for Grid Importer
+ * By default an import writes the raw column IDs (e.g. FINAL_PAGE_STATUS_CODE)
+ * and the values exactly as the API returns them. Options:
+ *   - COLUMN_LABELS: use the human-readable labels from the response metadata
+ *   - COLUMN_MAPPING: rename, drop and reorder columns, one entry per line:
+ *       COLUMN_ID = Header   rename (and place in this order)
+ *       COLUMN_ID            keep (in this order)
+ *       -COLUMN_ID           drop
+ *     Listed columns come first in the listed order, the rest follow.
+ *   - COERCE_TYPES: convert values by column type, so timestamps become dates,
+ *     numbers become numbers and booleans become checkboxes
+ * Watermarks, row hashes and filters keep working on the raw column IDs.
+ */
+
+const GRID_COLUMN_TYPES = {
+  date: ['date', 'datetime', 'timestamp', 'time', 'instant'],
+  number: ['number', 'numeric', 'integer', 'int', 'long', 'float', 'double', 'decimal', 'percent', 'currency'],
+  boolean: ['boolean', 'bool']
+};
+
+const GRID_DATE_FORMAT = 'yyyy-mm-dd hh:mm:ss';
+
+// Smaller numbers in a date column are not epoch milliseconds (2000-01-01 UTC)
+const GRID_MIN_EPOCH_MS = 946684800000;
+
+/**
+ * COLUMN_CATALOG from the config sheet: the column catalog endpoint is not
+ * in the public API docs, so pickers and query checks only use it when TRUE
+ */
+function isColumnCatalogEnabled() {
+  try {
+    return String(getConfigValue('COLUMN_CATALOG')).toUpperCase() === 'TRUE';
+  } catch (e) {
+    // No config sheet yet
+    return false;
+  }
+}
+
+/**
+ * Column output options from the config sheet
+ */
+function getColumnOptionsFromConfig() {
+  return {
+    labels: String(getConfigValue('COLUMN_LABELS')).toUpperCase() === 'TRUE',
+    mapping: getConfigValue('COLUMN_MAPPING') || '',
+    coerceTypes: String(getConfigValue('COERCE_TYPES')).toUpperCase() === 'TRUE'
+  };
+}
+
+/**
+ * A saved report's columns with catalog labels and types, for the import
+ * dialog's column picker
+ */
+function getReportColumns(apiKey, reportId) {
+  const reportData = getQueryDefinition(apiKey, reportId);
+  const catalog = new ObservePointClient(apiKey, { columnCatalog: isColumnCatalogEnabled() }).getGridColumns(reportData.gridEntityType);
+  
+  return (reportData.queryDefinition.columns || []).map(function(column) {
+    const info = catalog && catalog.columns[column.columnId] || {};
+    return { columnId: column.columnId, label: info.label || column.columnId, type: info.type || '' };
+  });
+}
+
+/**
+ * Work out the output columns once the first page's metadata is known:
+ * sets `state.outputColumns` ({ index, header, type } per written column)
+ * and `state.outputHeaders`
+ */
+function prepareOutputColumns(state, metadata) {
+  const options = state.columnOptions || {};
+  const metadataHeaders = metadata && metadata.headers ? metadata.headers : [];
+  
+  let columns = state.columnHeaders.map(function(columnId, index) {
+    const header = metadataHeaders[index] || {};
+    const column = header.column || {};
+    return {
+      columnId: columnId,
+      index: index,
+      header: options.labels ? (header.label || column.label || column.title || header.title || columnId) : columnId,
+      type: options.coerceTypes ? getColumnValueType(columnId, header.type || column.type || column.dataType) : null
+    };
+  });
+  
+  if (options.mapping) {
+    columns = applyColumnMapping(columns, parseColumnMapping(options.mapping));
+  }
+  
+  if (columns.length === 0) {
+    throw new Error('COLUMN_MAPPING drops every column of the report');
+  }
+  
+  state.outputColumns = columns.map(function(column) {
+    return { index: column.index, header: column.header, type: column.type };
+  });
+  state.outputHeaders = columns.map(function(column) {
+    return column.header;
+  });
+  
+  if (options.labels || options.mapping || options.coerceTypes) {
+    log('INFO', 'output_columns', `Writing ${state.outputHeaders.length} columns: ${state.outputHeaders.join(', ')}`);
+  }
+}
+
+/**
+ * Parse COLUMN_MAPPING entries (one per line, or separated by ;)
+ */
+function parseColumnMapping(text) {
+  return String(text).split(/[\n;]/).map(function(line) {
+    return line.trim();
+  }).filter(function(line) {
+    return line !== '';
+  }).map(function(line) {
+    if (line.charAt(0) === '-') {
+      return { columnId: line.substring(1).trim().toUpperCase(), drop: true };
+    }
+    
+    const separator = line.indexOf('=');
+    return {
+      columnId: (separator === -1 ? line : line.substring(0, separator)).trim().toUpperCase(),
+      header: separator === -1 ? null : line.substring(separator + 1).trim()
+    };
+  });
+}
+
+function applyColumnMapping(columns, mapping) {
+  const byId = {};
+  columns.forEach(function(column) {
+    byId[column.columnId] = column;
+  });
+  
+  mapping.forEach(function(entry) {
+    if (!byId[entry.columnId]) {
+      throw new Error(`COLUMN_MAPPING column ${entry.columnId} is not in the report. Columns: ${Object.keys(byId).join(', ')}`);
+    }
+  });
+  
+  const dropped = {};
+  const listed = [];
+  mapping.forEach(function(entry) {
+    if (entry.drop) {
+      dropped[entry.columnId] = true;
+      return;
+    }
+    
+    const column = byId[entry.columnId];
+    if (entry.header) {
+      column.header = entry.header;
+    }
+    listed.push(column);
+    dropped[entry.columnId] = true;
+  });
+  
+  return listed.concat(columns.filter(function(column) {
+    return !dropped[column.columnId];
+  }));
+}
+
+/**
+ * 'date', 'number', 'boolean' or null from the metadata type, falling back
+ * to the column ID naming (IS_*, *_DATE, *_TIMESTAMP) when there is none.
+ * *_TIME is not taken as a date: columns such as LOAD_TIME are durations.
+ */
+function getColumnValueType(columnId, metadataType) {
+  const type = String(metadataType || '').toLowerCase();
+  
+  if (type) {
+    const match = Object.keys(GRID_COLUMN_TYPES).filter(function(key) {
+      return GRID_COLUMN_TYPES[key].indexOf(type) !== -1;
+    })[0];
+    return match || null;
+  }
+  
+  if (/^IS_/.test(columnId)) {
+    return 'boolean';
+  }
+  
+  if (/(_DATE|_TIMESTAMP)$/.test(columnId)) {
+    return 'date';
+  }
+  
+  return null;
+}
+
+/**
+ * Reorder, drop and coerce buffered rows into the output columns
+ */
+function transformImportRows(state, rows) {
+  const columns = state.outputColumns;
+  
+  if (!columns || rows.length === 0) {
+    return rows;
+  }
+  
+  const unchanged = columns.length === state.columnHeaders.length && columns.every(function(column, i) {
+    return column.index === i && !column.type;
+  });
+  
+  if (unchanged) {
+    return rows;
+  }
+  
+  return rows.map(function(row) {
+    return columns.map(function(column) {
+      return coerceColumnValue(row[column.index], column.type);
+    });
+  });
+}
+
+/**
+ * Convert a value to its column type, leaving values that do not convert as they are
+ */
+function coerceColumnValue(value, type) {
+  if (!type || value === null || value === undefined || value === '') {
+    return value === undefined || value === null ? '' : value;
+  }
+  
+  if (type === 'number') {
+    const number = Number(value);
+    return isNaN(number) ? value : number;
+  }
+  
+  if (type === 'boolean') {
+    const text = String(value).toLowerCase();
+    if (text === 'true' || text === '1') {
+      return true;
+    }
+    if (text === 'false' || text === '0') {
+      return false;
+    }
+    return value;
+  }
+  
+  // Dates: epoch milliseconds, yyyy-MM-dd (a local calendar date) or ISO
+  // timestamps; anything else is left alone rather than guessed at
+  const text = String(value).trim();
+  const dateOnly = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  let date;
+  
+  if (dateOnly) {
+    date = new Date(Number(dateOnly[1]), Number(dateOnly[2]) - 1, Number(dateOnly[3]));
+  } else if (/^\d+$/.test(text)) {
+    date = Number(text) >= GRID_MIN_EPOCH_MS ? new Date(Number(text)) : null;
+  } else if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/.test(text)) {
+    date = new Date(text.replace(' ', 'T'));
+  } else {
+    date = null;
+  }
+  
+  return !date || isNaN(date.getTime()) ? value : date;
+}
+
+/**
+ * Date formats and checkboxes for rows just written to `sheet`
+ */
+function applyColumnFormats(sheet, state, startRow, numRows) {
+  if (!state.outputColumns || numRows === 0) {
+    return;
+  }
+  
+  state.outputColumns.forEach(function(column, i) {
+    if (column.type === 'date') {
+      sheet.getRange(startRow, i + 1, numRows, 1).setNumberFormat(GRID_DATE_FORMAT);
+    } else if (column.type === 'boolean') {
+      sheet.getRange(startRow, i + 1, numRows, 1).insertCheckboxes();
+    }
+  });
+}
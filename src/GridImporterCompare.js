@@ -0,0 +1,278 @@
+/**
+ * Snapshot comparison for Grid Importer
+ * Diffs two imported sheets (e.g. last week's and this week's snapshot of a
+ * saved report) on a set of key columns and writes a Diff_<timestamp> sheet:
+ * summary counts on top, then one row per Added, Removed or Changed record
+ * with the old and new value of every column. Rows are matched like
+ * SheetHelpers.joinData, by key; rows sharing a key are paired in order.
+ */
+
+const GRID_COMPARE_STATUS_COLORS = {
+  'Added': '#e6f4ea',
+  'Removed': '#fce8e6',
+  'Changed': '#fef7e0'
+};
+
+// Sheets the tools create for themselves, never offered as snapshots
+const GRID_TOOL_SHEET_PATTERN = /^(GridImporter_|Execution_Log$|Diff_)/;
+
+/**
+ * Menu entry: open the Compare Snapshots dialog
+ */
+function gridImporter_compareSnapshots() {
+  showCompareSnapshotsDialog();
+}
+
+/**
+ * Names of the sheets that can be compared, in tab order (called by the dialog).
+ * Part sheets are read together with their snapshot, so they are not listed.
+ */
+function getCompareSnapshotSheets() {
+  return SpreadsheetApp.getActiveSpreadsheet().getSheets().map(function(sheet) {
+    return sheet.getName();
+  }).filter(function(name) {
+    return !GRID_TOOL_SHEET_PATTERN.test(name) && !/_part\d+$/.test(name);
+  });
+}
+
+/**
+ * Header row of a snapshot sheet (called by the dialog)
+ */
+function getSnapshotColumns(sheetName) {
+  return readSnapshot(sheetName, true).headers;
+}
+
+/**
+ * Read a snapshot's headers and rows, including rows in its _partN sheets and
+ * in the overflow spreadsheets listed for it in the index sheet
+ */
+function readSnapshot(sheetName, headersOnly) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(sheetName);
+  
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found`);
+  }
+  
+  if (sheet.getLastRow() < 1) {
+    throw new Error(`Sheet "${sheetName}" is empty`);
+  }
+  
+  const headers = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0].map(String);
+  
+  if (headersOnly) {
+    return { headers: headers, rows: [] };
+  }
+  
+  let rows = [];
+  [sheet].concat(getPartSheets(ss, sheetName), getOverflowPartSheets(ss, sheetName)).forEach(function(s) {
+    if (s.getLastRow() > 1) {
+      rows = rows.concat(s.getRange(2, 1, s.getLastRow() - 1, headers.length).getValues());
+    }
+  });
+  
+  return { headers: headers, rows: rows };
+}
+
+/**
+ * The _partN sheets of a snapshot that rolled over into overflow spreadsheets
+ */
+function getOverflowPartSheets(ss, sheetName) {
+  const indexSheet = ss.getSheetByName(GRID_INDEX_SHEET_NAME);
+  const prefix = sheetName + '_part';
+  
+  return (indexSheet ? readImportIndex(indexSheet) : []).filter(function(entry) {
+    return entry.spreadsheetId && entry.sheetName.indexOf(prefix) === 0 && /^\d+$/.test(entry.sheetName.substring(prefix.length));
+  }).map(function(entry) {
+    let overflow;
+    try {
+      overflow = SpreadsheetApp.openById(entry.spreadsheetId);
+    } catch (error) {
+      overflow = null;
+    }
+    
+    const sheet = overflow ? overflow.getSheetByName(entry.sheetName) : null;
+    if (!sheet) {
+      // Comparing without these rows would report them as added or removed
+      throw new Error(`${entry.sheetName} of snapshot "${sheetName}" is in an overflow spreadsheet that can no longer be opened`);
+    }
+    return sheet;
+  });
+}
+
+/**
+ * Compare two snapshot sheets on `keyColumns` and write the diff sheet
+ * (called by the dialog). Returns the diff sheet name and summary counts.
+ */
+function compareSnapshots(oldSheetName, newSheetName, keyColumns) {
+  if (!keyColumns || keyColumns.length === 0) {
+    throw new Error('Choose at least one key column');
+  }
+  
+  if (oldSheetName === newSheetName) {
+    throw new Error('Choose two different sheets to compare');
+  }
+  
+  const oldSnapshot = readSnapshot(oldSheetName);
+  const newSnapshot = readSnapshot(newSheetName);
+  
+  keyColumns.forEach(function(column) {
+    if (oldSnapshot.headers.indexOf(column) === -1 || newSnapshot.headers.indexOf(column) === -1) {
+      throw new Error(`Key column ${column} must be in both sheets`);
+    }
+  });
+  
+  // Every non-key column of either snapshot, in the old sheet's order first
+  const valueColumns = oldSnapshot.headers.concat(newSnapshot.headers.filter(function(column) {
+    return oldSnapshot.headers.indexOf(column) === -1;
+  })).filter(function(column) {
+    return keyColumns.indexOf(column) === -1;
+  });
+  
+  const diff = diffSnapshots(oldSnapshot, newSnapshot, keyColumns, valueColumns);
+  const sheetName = writeDiffSheet(oldSheetName, newSheetName, keyColumns, valueColumns, diff);
+  
+  log('INFO', 'snapshots_compared', `Compared ${oldSheetName} with ${newSheetName}: ${diff.counts.Added} added, ` +
+    `${diff.counts.Removed} removed, ${diff.counts.Changed} changed, ${diff.counts.Unchanged} unchanged (${sheetName})`);
+  
+  return {
+    sheetName: sheetName,
+    added: diff.counts.Added,
+    removed: diff.counts.Removed,
+    changed: diff.counts.Changed,
+    unchanged: diff.counts.Unchanged
+  };
+}
+
+/**
+ * Match rows by key and classify them. Returns the diff rows (Status, key
+ * values, Changed Columns, old/new value pairs) grouped by status, and counts.
+ */
+function diffSnapshots(oldSnapshot, newSnapshot, keyColumns, valueColumns) {
+  const oldKeyIndexes = keyColumns.map(function(column) { return oldSnapshot.headers.indexOf(column); });
+  const newKeyIndexes = keyColumns.map(function(column) { return newSnapshot.headers.indexOf(column); });
+  const oldByKey = SheetHelpers.indexRows(oldSnapshot.rows, oldKeyIndexes);
+  const matched = {};
+  const groups = { 'Added': [], 'Removed': [], 'Changed': [] };
+  let unchanged = 0;
+  
+  // Position of each value column in either snapshot (-1 when missing)
+  const oldIndexes = valueColumns.map(function(column) { return oldSnapshot.headers.indexOf(column); });
+  const newIndexes = valueColumns.map(function(column) { return newSnapshot.headers.indexOf(column); });
+  
+  function valueOf(row, index) {
+    return row && index !== -1 ? row[index] : '';
+  }
+  
+  function diffRow(status, keyValues, oldRow, newRow, changedColumns) {
+    const values = [status].concat(keyValues, [changedColumns.join(', ')]);
+    valueColumns.forEach(function(column, i) {
+      values.push(valueOf(oldRow, oldIndexes[i]), valueOf(newRow, newIndexes[i]));
+    });
+    return values;
+  }
+  
+  newSnapshot.rows.forEach(function(newRow) {
+    const key = SheetHelpers.getRowKey(newRow, newKeyIndexes);
+    const keyValues = newKeyIndexes.map(function(index) { return newRow[index]; });
+    const candidates = oldByKey.hasOwnProperty(key) ? oldByKey[key] : [];
+    const oldRow = candidates[matched[key] || 0];
+    
+    if (!oldRow) {
+      groups.Added.push(diffRow('Added', keyValues, null, newRow, []));
+      return;
+    }
+    
+    matched[key] = (matched[key] || 0) + 1;
+    
+    // Columns missing from one of the snapshots are shown but not compared
+    const changedColumns = valueColumns.filter(function(column, i) {
+      return oldIndexes[i] !== -1 && newIndexes[i] !== -1 && !snapshotValuesEqual(valueOf(oldRow, oldIndexes[i]), valueOf(newRow, newIndexes[i]));
+    });
+    
+    if (changedColumns.length > 0) {
+      groups.Changed.push(diffRow('Changed', keyValues, oldRow, newRow, changedColumns));
+    } else {
+      unchanged++;
+    }
+  });
+  
+  // Old rows beyond the ones matched to a new row were removed
+  const seen = {};
+  oldSnapshot.rows.forEach(function(oldRow) {
+    const key = SheetHelpers.getRowKey(oldRow, oldKeyIndexes);
+    seen[key] = (seen[key] || 0) + 1;
+    
+    if (seen[key] > (matched[key] || 0)) {
+      const keyValues = oldKeyIndexes.map(function(index) { return oldRow[index]; });
+      groups.Removed.push(diffRow('Removed', keyValues, oldRow, null, []));
+    }
+  });
+  
+  return {
+    rows: groups.Added.concat(groups.Removed, groups.Changed),
+    counts: {
+      Added: groups.Added.length,
+      Removed: groups.Removed.length,
+      Changed: groups.Changed.length,
+      Unchanged: unchanged
+    }
+  };
+}
+
+function snapshotValuesEqual(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  
+  return String(a) === String(b);
+}
+
+/**
+ * Write the summary and diff rows to a new Diff_<timestamp> sheet
+ */
+function writeDiffSheet(oldSheetName, newSheetName, keyColumns, valueColumns, diff) {
+  const headers = ['Status'].concat(keyColumns, ['Changed Columns']);
+  valueColumns.forEach(function(column) {
+    headers.push(column + ' (old)', column + ' (new)');
+  });
+  
+  const summary = [
+    ['Old Snapshot', oldSheetName],
+    ['New Snapshot', newSheetName],
+    ['Key Columns', keyColumns.join(', ')],
+    ['Added', diff.counts.Added],
+    ['Removed', diff.counts.Removed],
+    ['Changed', diff.counts.Changed],
+    ['Unchanged', diff.counts.Unchanged]
+  ];
+  const headerRow = summary.length + 2;
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  
+  // The summary rows above the headers count against the data row budget
+  if (headerRow - 1 + diff.rows.length > calculatePartRowLimit(ss, headers.length, null)) {
+    throw new Error(`The diff has ${diff.rows.length} rows of ${headers.length} columns, more than this spreadsheet has room for. Compare fewer columns or smaller snapshots.`);
+  }
+  
+  const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd_HHmmss');
+  const sheet = ss.insertSheet('Diff_' + timestamp);
+  
+  sheet.getRange(1, 1, summary.length, 2).setValues(summary);
+  sheet.getRange(1, 1, summary.length, 1).setFontWeight('bold');
+  
+  sheet.getRange(headerRow, 1, 1, headers.length).setValues([headers]);
+  sheet.getRange(headerRow, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  
+  if (diff.rows.length > 0) {
+    sheet.getRange(headerRow + 1, 1, diff.rows.length, headers.length).setValues(diff.rows);
+    sheet.getRange(headerRow + 1, 1, diff.rows.length, 1).setBackgrounds(diff.rows.map(function(row) {
+      return [GRID_COMPARE_STATUS_COLORS[row[0]]];
+    }));
+  }
+  
+  ss.setActiveSheet(sheet);
+  return sheet.getName();
+}
@@ -3,39 +3,210 @@
  * Separated from main function to allow reuse
  */
 
-function executeGridImport(apiKey, reportId, batchSize, maxPages) {
-  const startTime = new Date();
+const GRID_IMPORT_MODES = ['snapshot', 'replace', 'append', 'incremental'];
+
+/**
+ * Start a new import. `jobId` identifies the import for progress polling and
+ * cancellation (the dialog generates one; a new ID is created when omitted).
+ * `options.exportTarget` is 'sheet' (default), 'csv' or 'jsonl'; `options.gzip`
+ * compresses the Drive files written by the file targets.
+ * `options.mode` is 'snapshot' (default, a new timestamped sheet), 'replace'
+ * (overwrite `options.targetSheet`), 'append' (add all rows to `options.targetSheet`)
+ * or 'incremental', which appends only new rows to `options.targetSheet`
+ * (see GridImporterIncremental.js for `watermarkColumn`/`runDateFilterColumn`).
+ * `options.columns` sets column labels, mapping and type coercion (see GridImporterColumns.js).
+ * `options.filters` holds runtime filter overrides (see GridImporterFilters.js).
+ * `options.continueHandler` names the trigger handler that continues the import
+ * if it pauses (gridImporter_continueImport by default).
+ * `options.abortOnFailure` aborts the import when it fails instead of keeping its
+ * checkpoint for "Resume / Abort Import", for imports nobody is watching.
+ * `options.query` ({ name, gridEntityType, queryDefinition }) imports an ad-hoc
+ * query instead of fetching the saved report (see GridImporterQuery.js);
+ * `reportId` may then be null.
+ */
+function executeGridImport(apiKey, reportId, batchSize, maxPages, jobId, options) {
+  jobId = jobId || Utilities.getUuid();
+  options = options || {};
   
   try {
-    log('INFO', 'import_start', `Starting import of saved report ${reportId}`);
+    if (loadImportState()) {
+      throw new Error('Another Grid import is still in progress. Use "Resume / Abort Import" to finish or abort it first.');
+    }
+    
+    setCurrentImportJob(jobId);
+    updateImportProgress(jobId, { phase: 'starting', status: 'Fetching report definition...', complete: false });
+    
+    let reportData;
+    if (options.query) {
+      log('INFO', 'import_start', `Starting import of ${options.query.gridEntityType} query "${options.query.name}" (job ${jobId})`);
+      reportData = options.query;
+    } else {
+      log('INFO', 'import_start', `Starting import of saved report ${reportId} (job ${jobId})`);
+      reportData = getQueryDefinition(apiKey, reportId);
+      log('INFO', 'query_fetched', `Retrieved query definition for report: ${reportData.name || reportId}`);
+    }
     
-    const reportData = getQueryDefinition(apiKey, reportId);
-    log('INFO', 'query_fetched', `Retrieved query definition for report: ${reportData.name || reportId}`);
+    if (options.filters) {
+      applyFilterOverrides(reportData.queryDefinition, options.filters);
+    }
     
     // Create unique sheet name based on report name and timestamp
     const timestamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd_HHmmss');
     const sheetName = (reportData.name || 'Report_' + reportId).substring(0, 50) + '_' + timestamp;
     
-    const totalRows = fetchAllData(apiKey, reportData.gridEntityType, reportData.queryDefinition, batchSize, maxPages, sheetName);
+    const exportTarget = normalizeExportTarget(options.exportTarget);
+    const mode = String(options.mode || 'snapshot').toLowerCase();
+    
+    if (GRID_IMPORT_MODES.indexOf(mode) === -1) {
+      throw new Error(`Unknown import mode "${options.mode}". Use one of: ${GRID_IMPORT_MODES.join(', ')}`);
+    }
+    
+    const state = {
+      jobId: jobId,
+      reportId: reportId,
+      reportName: reportData.name,
+      gridEntityType: reportData.gridEntityType,
+      queryDefinition: reportData.queryDefinition,
+      batchSize: batchSize || 50000,
+      maxPages: maxPages,
+      exportTarget: exportTarget,
+      gzip: !!options.gzip,
+      mode: mode,
+      continueHandler: options.continueHandler || GRID_CONTINUE_HANDLER,
+      abortOnFailure: !!options.abortOnFailure,
+      sheetName: sheetName,
+      baseSheetName: sheetName,
+      spreadsheetId: null,
+      parts: [],
+      partRowLimit: null,
+      folderId: null,
+      folderUrl: null,
+      files: [],
+      columnHeaders: null,
+      columnOptions: options.columns || null,
+      outputColumns: null,
+      outputHeaders: null,
+      totalPages: null,
+      nextPage: 0,
+      nextRow: 2,
+      totalRows: 0,
+      rowsWritten: 0,
+      startedAt: new Date().getTime()
+    };
+    
+    if (isFileExport(state)) {
+      // Chunk files for this import go into their own Drive folder
+      const folder = DriveApp.createFolder(sheetName);
+      state.folderId = folder.getId();
+      state.folderUrl = folder.getUrl();
+    }
     
-    const duration = ((new Date() - startTime) / 1000).toFixed(2);
-    log('INFO', 'import_complete', `Import completed successfully. ${totalRows} rows imported in ${duration} seconds. Sheet: ${sheetName}`);
+    if (mode === 'incremental') {
+      prepareIncrementalImport(state, options);
+    } else if ((mode === 'replace' || mode === 'append') && !isFileExport(state)) {
+      prepareTargetSheetImport(state, options.targetSheet);
+    } else if (!isFileExport(state)) {
+      // Always create a new sheet with unique name
+      const ss = SpreadsheetApp.getActiveSpreadsheet();
+      const sheet = ss.insertSheet(sheetName);
+      state.parts.push({ spreadsheetId: null, sheetName: sheetName, url: ss.getUrl() + '#gid=' + sheet.getSheetId(), rows: 0 });
+    }
+    
+    saveImportState(state);
+    
+    return runGridImport(apiKey, state);
+  
+  } catch (error) {
+    log('ERROR', 'import_failed', error.toString());
+    updateImportProgress(jobId, { phase: 'failed', status: 'Import failed', details: error.toString(), complete: true });
+    // Return error - no UI calls
+    return {
+      success: false,
+      jobId: jobId,
+      error: error.toString()
+    };
+  }
+}
+
+/**
+ * Run (or continue) a checkpointed import for as long as this execution allows.
+ * If the import pauses, a trigger continues it in a later execution.
+ */
+function runGridImport(apiKey, state) {
+  try {
+    const outcome = fetchAllData(apiKey, state);
+    const duration = ((new Date().getTime() - state.startedAt) / 1000).toFixed(2);
+    const rowsWritten = state.rowsWritten;
+    const exportUrl = isFileExport(state) ? getExportUrl(state) : null;
+    const location = describeImportOutput(state);
+    
+    if (outcome === 'paused') {
+      scheduleImportContinuation(state.continueHandler);
+      updateImportProgress(state.jobId, { phase: 'paused', status: 'Paused - continuing in about a minute', complete: false });
+      log('INFO', 'import_continuing', `Import paused after ${state.totalRows} rows. It will continue automatically in a new execution. Sheet: ${state.sheetName}`);
+    } else if (outcome === 'cancelled') {
+      clearImportState();
+      clearImportCancel(state.jobId);
+      updateImportProgress(state.jobId, { phase: 'cancelled', status: 'Import cancelled', details: `${rowsWritten.toLocaleString()} rows kept in ${location}`, rowsWritten: rowsWritten, etaSeconds: null, exportUrl: exportUrl, complete: true });
+      log('INFO', 'import_cancelled', `Import cancelled by user after ${state.totalRows} rows. Partial data kept in ${location}`);
+    } else {
+      if (state.mode === 'incremental') {
+        completeIncrementalImport(state);
+      }
+      clearImportState();
+      // A cancel that arrived after the last page would outlive the job
+      clearImportCancel(state.jobId);
+      updateImportProgress(state.jobId, { phase: 'complete', status: 'Import complete', details: `${rowsWritten.toLocaleString()} rows written to ${location}`, rowsWritten: rowsWritten, etaSeconds: 0, percent: 100, exportUrl: exportUrl, complete: true });
+      log('INFO', 'import_complete', `Import completed successfully. ${state.totalRows} rows imported in ${duration} seconds. Sheet: ${location}`);
+    }
     
     // Return success - no UI calls
     return {
       success: true,
-      reportName: reportData.name,
-      totalRows: totalRows,
+      jobId: state.jobId,
+      status: outcome,
+      complete: outcome === 'complete',
+      reportName: state.reportName,
+      totalRows: state.totalRows,
       duration: duration,
-      sheetName: sheetName
+      sheetName: state.parts.length > 0 ? state.parts[0].sheetName : null,
+      location: location,
+      parts: state.parts,
+      exportUrl: exportUrl,
+      files: state.files
     };
-    
+  
   } catch (error) {
-    log('ERROR', 'import_failed', error.toString());
+    if (state.abortOnFailure) {
+      // Nobody is there to resume it, and its checkpoint would block every later import
+      log('ERROR', 'import_failed', `${error.toString()} (aborting the import)`);
+      try {
+        abortGridImport();
+      } catch (abortError) {
+        log('ERROR', 'import_abort_failed', `Could not delete the failed import's output: ${abortError.toString()}`);
+      }
+    } else {
+      // Keep the checkpoint so the import can be resumed from the menu
+      log('ERROR', 'import_failed', `${error.toString()} (resume from page ${state.nextPage + 1} with "Resume / Abort Import")`);
+    }
+    clearImportCancel(state.jobId);
+    updateImportProgress(state.jobId, { phase: 'failed', status: 'Import failed', details: error.toString(), complete: true });
     // Return error - no UI calls
     return {
       success: false,
+      jobId: state.jobId,
       error: error.toString()
     };
   }
 }
+
+/**
+ * Where the import's rows went, for log and status messages
+ */
+function describeImportOutput(state) {
+  if (isFileExport(state)) {
+    return `${state.files.length} ${state.exportTarget.toUpperCase()} file(s) in Drive folder ${state.baseSheetName}`;
+  }
+  
+  return state.parts.length > 1 ? `${state.parts.length} sheets (see ${GRID_INDEX_SHEET_NAME})` : state.sheetName;
+}
@@ -14,15 +14,37 @@ function getGridImporterConfig() {
   let existingReportId = '';
   let existingBatchSize = '50000';
   let existingMaxPages = '';
+  let existingExportTarget = 'Sheet';
+  let existingGzip = false;
+  let existingMode = 'Snapshot';
+  let existingTargetSheet = '';
+  let existingWatermarkColumn = '';
+  let existingRunDateFilterColumn = '';
+  const existingFilters = {};
+  const existingColumns = { labels: false, mapping: '', coerceTypes: false };
   
   if (configSheet) {
     try {
-      const data = configSheet.getRange('A2:B10').getValues();
+      const data = configSheet.getRange('A2:B40').getValues();
       for (let i = 0; i < data.length; i++) {
         if (data[i][0] === 'OP_API_KEY') existingApiKey = data[i][1] || '';
         if (data[i][0] === 'SAVED_REPORT_ID') existingReportId = data[i][1] || '';
         if (data[i][0] === 'BATCH_SIZE') existingBatchSize = data[i][1] || '50000';
         if (data[i][0] === 'MAX_PAGES') existingMaxPages = data[i][1] || '';
+        if (data[i][0] === 'EXPORT_TARGET') existingExportTarget = data[i][1] || 'Sheet';
+        if (data[i][0] === 'EXPORT_GZIP') existingGzip = String(data[i][1]).toUpperCase() === 'TRUE';
+        if (data[i][0] === 'IMPORT_MODE') existingMode = data[i][1] || 'Snapshot';
+        if (data[i][0] === 'TARGET_SHEET') existingTargetSheet = data[i][1] || '';
+        if (data[i][0] === 'WATERMARK_COLUMN') existingWatermarkColumn = data[i][1] || '';
+        if (data[i][0] === 'RUN_DATE_FILTER_COLUMN') existingRunDateFilterColumn = data[i][1] || '';
+        if (data[i][0] === 'COLUMN_LABELS') existingColumns.labels = String(data[i][1]).toUpperCase() === 'TRUE';
+        if (data[i][0] === 'COLUMN_MAPPING') existingColumns.mapping = data[i][1] || '';
+        if (data[i][0] === 'COERCE_TYPES') existingColumns.coerceTypes = String(data[i][1]).toUpperCase() === 'TRUE';
+        Object.keys(GRID_FILTER_CONFIG_KEYS).forEach(function(field) {
+          if (data[i][0] === GRID_FILTER_CONFIG_KEYS[field]) {
+            existingFilters[field] = data[i][1] instanceof Date ? formatFilterDate(data[i][1]) : String(data[i][1]);
+          }
+        });
       }
     } catch (e) {
       // Config sheet exists but is empty
@@ -33,7 +55,15 @@ function getGridImporterConfig() {
     apiKey: existingApiKey,
     reportId: existingReportId,
     batchSize: existingBatchSize,
-    maxPages: existingMaxPages
+    maxPages: existingMaxPages,
+    exportTarget: existingExportTarget,
+    gzip: existingGzip,
+    mode: existingMode,
+    targetSheet: existingTargetSheet,
+    watermarkColumn: existingWatermarkColumn,
+    runDateFilterColumn: existingRunDateFilterColumn,
+    filters: existingFilters,
+    columns: existingColumns
   };
 }
 
@@ -41,6 +71,12 @@ function getGridImporterConfig() {
  * Generate dialog HTML (called from customer wrapper)
  */
 function getGridImporterDialogHtml(config) {
+  const filters = config.filters || {};
+  const columns = config.columns || {};
+  const escape = function(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  };
+  
   return `
     <!DOCTYPE html>
     <html>
@@ -56,7 +92,7 @@ function getGridImporterDialogHtml(config) {
             font-weight: 500;
             color: #202124;
           }
-          input, textarea {
+          input, textarea, select {
             width: 100%;
             padding: 10px;
             border: 1px solid #dadce0;
@@ -65,7 +101,7 @@ function getGridImporterDialogHtml(config) {
             font-family: 'Google Sans', Arial, sans-serif;
             box-sizing: border-box;
           }
-          input:focus, textarea:focus {
+          input:focus, textarea:focus, select:focus {
             outline: none;
             border-color: #1a73e8;
             box-shadow: 0 0 0 2px rgba(26, 115, 232, 0.1);
@@ -78,9 +114,44 @@ function getGridImporterDialogHtml(config) {
           .required {
             color: #ea4335;
           }
+          .checkbox-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-weight: normal;
+          }
+          .checkbox-label input {
+            width: auto;
+          }
+          .preview-table-container {
+            max-height: 320px;
+            overflow: auto;
+            border: 1px solid #dadce0;
+            border-radius: 4px;
+          }
+          .preview-table {
+            border-collapse: collapse;
+            font-size: 12px;
+            white-space: nowrap;
+          }
+          .preview-table th, .preview-table td {
+            border-bottom: 1px solid #e8eaed;
+            padding: 4px 8px;
+            text-align: left;
+            max-width: 300px;
+            overflow: hidden;
+            text-overflow: ellipsis;
+          }
+          .preview-table th {
+            position: sticky;
+            top: 0;
+            background: #f1f3f4;
+          }
         </style>
+        ${getImportProgressStyles()}
       </head>
       <body>
+        <div id="configPanel">
         <h2>📊 Grid API Importer Configuration</h2>
         
         <p>Configure the Grid API Importer to fetch data from any ObservePoint saved report.</p>
@@ -88,35 +159,313 @@ function getGridImporterDialogHtml(config) {
         <form id="configForm">
           <div class="form-group">
             <label>ObservePoint API Key <span class="required">*</span></label>
-            <input type="text" id="apiKey" value="${config.apiKey}" required placeholder="Your API key from ObservePoint">
+            <input type="text" id="apiKey" value="${escape(config.apiKey)}" required placeholder="Your API key from ObservePoint">
             <div class="help-text">Get your API key from <a href="https://app.observepoint.com/my-profile" target="_blank">ObservePoint Profile</a></div>
           </div>
           
           <div class="form-group">
             <label>Saved Report ID <span class="required">*</span></label>
-            <input type="text" id="reportId" value="${config.reportId}" required placeholder="e.g., 12345">
+            <input type="text" id="reportId" value="${escape(config.reportId)}" required placeholder="e.g., 12345">
             <div class="help-text">Find the report ID in the URL when viewing a saved report</div>
           </div>
           
           <div class="form-group">
             <label>Batch Size</label>
-            <input type="number" id="batchSize" value="${config.batchSize}" placeholder="50000">
+            <input type="number" id="batchSize" value="${escape(config.batchSize)}" placeholder="50000">
             <div class="help-text">Number of rows to write at once (adjust if hitting memory limits)</div>
           </div>
           
           <div class="form-group">
             <label>Max Pages (Optional)</label>
-            <input type="number" id="maxPages" value="${config.maxPages}" placeholder="Leave empty for all pages">
+            <input type="number" id="maxPages" value="${escape(config.maxPages)}" placeholder="Leave empty for all pages">
             <div class="help-text">Limit number of pages to fetch (useful for testing)</div>
           </div>
+          
+          <div class="form-group">
+            <label>Export Target</label>
+            <select id="exportTarget">
+              ${Object.keys(GRID_EXPORT_TARGETS).map(function(label) {
+                return `<option value="${label}"${label === config.exportTarget ? ' selected' : ''}>${label}</option>`;
+              }).join('')}
+            </select>
+            <div class="help-text">CSV and JSONL exports are written as chunked files to a new Drive folder (for reports too large or wide for a sheet)</div>
+          </div>
+          
+          <div class="form-group">
+            <label class="checkbox-label"><input type="checkbox" id="gzip"${config.gzip ? ' checked' : ''}> Gzip Drive files</label>
+          </div>
+          
+          <div class="form-group">
+            <label>Import Mode</label>
+            <select id="mode" onchange="toggleIncrementalFields()">
+              <option value="Snapshot"${config.mode !== 'Incremental' ? ' selected' : ''}>Snapshot (new sheet per run)</option>
+              <option value="Incremental"${config.mode === 'Incremental' ? ' selected' : ''}>Incremental (append new rows only)</option>
+            </select>
+          </div>
+          
+          <div id="incrementalFields">
+            <div class="form-group">
+              <label>Target Sheet</label>
+              <input type="text" id="targetSheet" value="${escape(config.targetSheet)}" placeholder="Defaults to the report name">
+              <div class="help-text">Stable sheet that new rows are appended to</div>
+            </div>
+            
+            <div class="form-group">
+              <label>Watermark Column</label>
+              <input type="text" id="watermarkColumn" value="${escape(config.watermarkColumn)}" placeholder="e.g., RUN_ID">
+              <div class="help-text">Increasing ID or timestamp column; only rows above its last max value are appended, so rows that share that value and arrive later are skipped (use a unique ID, not a run date). Leave empty to skip rows already imported by row hash</div>
+            </div>
+            
+            <div class="form-group">
+              <label>Run Date Filter Column (Optional)</label>
+              <input type="text" id="runDateFilterColumn" value="${escape(config.runDateFilterColumn)}" placeholder="e.g., RUN_DATE">
+              <div class="help-text">Adds a ">= last run date" filter on this column so only recent rows are fetched</div>
+            </div>
+          </div>
+          
+          <h3>Filter Overrides (Optional)</h3>
+          <div class="help-text">Replace or add conditions of the saved report for this import. Leave empty to use the report as saved.</div>
+          
+          <div class="form-group">
+            <label>Audit IDs</label>
+            <input type="text" id="filterAuditIds" value="${escape(filters.auditIds || '')}" placeholder="e.g., 12345, 67890">
+            <div class="help-text">Replaces the report's AUDIT_ID filter</div>
+          </div>
+          
+          <div class="form-group">
+            <label>Run Date Range</label>
+            <div style="display: flex; gap: 8px;">
+              <input type="date" id="filterRunDateFrom" value="${escape(filters.runDateFrom || '')}">
+              <input type="date" id="filterRunDateTo" value="${escape(filters.runDateTo || '')}">
+            </div>
+            <input type="text" id="filterRunDateColumn" value="${escape(filters.runDateColumn || DEFAULT_RUN_DATE_COLUMN)}" style="margin-top: 8px;">
+            <div class="help-text">Date column the range applies to</div>
+          </div>
+          
+          <div class="form-group">
+            <label>Most Recent Run</label>
+            ${getFilterToggleSelect('filterMostRecentRun', filters.mostRecentRun, 'Most recent run only', 'All runs')}
+          </div>
+          
+          <div class="form-group">
+            <label>Most Recent Page Scan</label>
+            ${getFilterToggleSelect('filterMostRecentPageScan', filters.mostRecentPageScan, 'Most recent page scan only', 'All page scans')}
+          </div>
+          
+          <div class="form-group">
+            <label>Custom Conditions</label>
+            <textarea id="filterConditions" rows="3" placeholder="STATUS_CODE integer_in 404, 500&#10;NOT LINK_URL string_contains /blog/">${escape(filters.conditions || '')}</textarea>
+            <div class="help-text">One "[NOT] COLUMN_ID operator arg1, arg2" per line; replaces the report's conditions on that column</div>
+          </div>
+          
+          <h3>Columns</h3>
+          
+          <div class="form-group">
+            <label class="checkbox-label"><input type="checkbox" id="columnLabels"${columns.labels ? ' checked' : ''}> Use column labels as headers</label>
+            <label class="checkbox-label"><input type="checkbox" id="coerceTypes"${columns.coerceTypes ? ' checked' : ''}> Convert types (dates, numbers, booleans as checkboxes)</label>
+          </div>
+          
+          <div class="form-group">
+            <label>Column Mapping (Optional)</label>
+            <textarea id="columnMapping" rows="3" placeholder="FINAL_PAGE_URL = Page URL&#10;FINAL_PAGE_STATUS_CODE = Status&#10;-ELEMENT_HTML">${escape(columns.mapping || '')}</textarea>
+            <div class="help-text">One per line: COLUMN_ID = Header to rename, COLUMN_ID to keep in this order, -COLUMN_ID to drop. Listed columns come first.</div>
+            <button type="button" class="btn-cancel" id="pickColumnsBtn" onclick="pickColumns(this)">Pick Columns</button>
+            <div class="section" id="columnPicker" style="display: none; max-height: 220px; overflow-y: auto; font-size: 13px;"></div>
+          </div>
         </form>
         
         <div class="button-container">
           <button class="btn-cancel" onclick="google.script.host.close()">Cancel</button>
+          <button class="btn-cancel" id="previewBtn" onclick="handlePreview(this)">Preview</button>
           <button class="btn-primary" id="saveBtn" onclick="handleSave(this)">Save & Import</button>
         </div>
         
+        <div id="previewPanel" style="display: none;">
+          <h3>Preview</h3>
+          <div class="section" id="previewSummary"></div>
+          <div class="preview-table-container" id="previewTable"></div>
+        </div>
+        </div>
+        
+        <div id="progressPanel" style="display: none;">
+          <h2>📊 Importing Data...</h2>
+          ${getImportProgressBody()}
+        </div>
+        
+        ${getImportProgressScript()}
+        
         <script>
+          function toggleIncrementalFields() {
+            const incremental = document.getElementById('mode').value === 'Incremental';
+            document.getElementById('incrementalFields').style.display = incremental ? 'block' : 'none';
+          }
+          
+          toggleIncrementalFields();
+          
+          function getFilterValues() {
+            return {
+              auditIds: document.getElementById('filterAuditIds').value.trim(),
+              runDateColumn: document.getElementById('filterRunDateColumn').value.trim(),
+              runDateFrom: document.getElementById('filterRunDateFrom').value,
+              runDateTo: document.getElementById('filterRunDateTo').value,
+              mostRecentRun: document.getElementById('filterMostRecentRun').value,
+              mostRecentPageScan: document.getElementById('filterMostRecentPageScan').value,
+              conditions: document.getElementById('filterConditions').value.trim()
+            };
+          }
+          
+          function getColumnValues() {
+            return {
+              labels: document.getElementById('columnLabels').checked,
+              mapping: document.getElementById('columnMapping').value.trim(),
+              coerceTypes: document.getElementById('coerceTypes').checked
+            };
+          }
+          
+          function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+          }
+          
+          // Existing "COLUMN_ID = Header" renames are kept when the picker rewrites the mapping
+          function getMappingRenames() {
+            const renames = {};
+            document.getElementById('columnMapping').value.split(/[\\n;]/).forEach(function(line) {
+              const separator = line.indexOf('=');
+              if (separator !== -1) {
+                renames[line.substring(0, separator).trim().toUpperCase()] = line.trim();
+              }
+            });
+            return renames;
+          }
+          
+          function pickColumns(button) {
+            const apiKey = document.getElementById('apiKey').value.trim();
+            const reportId = document.getElementById('reportId').value.trim();
+            
+            if (!apiKey || !reportId) {
+              alert('Please fill in the API key and Saved Report ID');
+              return;
+            }
+            
+            button.disabled = true;
+            button.innerHTML = 'Pick Columns<span class="spinner"></span>';
+            
+            google.script.run
+              .withSuccessHandler(function(columns) {
+                button.disabled = false;
+                button.textContent = 'Pick Columns';
+                
+                const dropped = document.getElementById('columnMapping').value.split(/[\\n;]/).map(function(line) {
+                  return line.trim().toUpperCase();
+                });
+                const picker = document.getElementById('columnPicker');
+                picker.style.display = 'block';
+                picker.innerHTML = columns.map(function(column) {
+                  const checked = dropped.indexOf('-' + column.columnId) === -1;
+                  return '<label class="checkbox-label"><input type="checkbox" value="' + escapeHtml(column.columnId) + '"' + (checked ? ' checked' : '') + ' onchange="applyPickedColumns()"> ' +
+                    escapeHtml(column.label) + ' <span class="help-text">' + escapeHtml(column.columnId + (column.type ? ', ' + column.type : '')) + '</span></label>';
+                }).join('');
+              })
+              .withFailureHandler(function(error) {
+                button.disabled = false;
+                button.textContent = 'Pick Columns';
+                alert('Error: ' + error.message);
+              })
+              .getReportColumns(apiKey, reportId);
+          }
+          
+          function applyPickedColumns() {
+            const renames = getMappingRenames();
+            const lines = [];
+            const drops = [];
+            document.querySelectorAll('#columnPicker input').forEach(function(input) {
+              if (input.checked) {
+                lines.push(renames[input.value] || input.value);
+              } else {
+                drops.push('-' + input.value);
+              }
+            });
+            document.getElementById('columnMapping').value = lines.concat(drops).join('\\n');
+          }
+          
+          function formatDuration(seconds) {
+            if (seconds < 60) {
+              return seconds + ' seconds';
+            }
+            const minutes = Math.round(seconds / 60);
+            return minutes < 60 ? minutes + ' minutes' : Math.floor(minutes / 60) + ' h ' + (minutes % 60) + ' min';
+          }
+          
+          function handlePreview(button) {
+            const apiKey = document.getElementById('apiKey').value.trim();
+            const reportId = document.getElementById('reportId').value.trim();
+            
+            if (!apiKey || !reportId) {
+              alert('Please fill in the API key and Saved Report ID');
+              return;
+            }
+            
+            button.disabled = true;
+            button.innerHTML = 'Preview<span class="spinner"></span>';
+            
+            google.script.run
+              .withSuccessHandler(function(preview) {
+                button.disabled = false;
+                button.textContent = 'Preview';
+                showPreview(preview);
+              })
+              .withFailureHandler(function(error) {
+                button.disabled = false;
+                button.textContent = 'Preview';
+                alert('Error: ' + error.message);
+              })
+              .previewGridImport(apiKey, reportId, getFilterValues(), getColumnValues());
+          }
+          
+          function showPreview(preview) {
+            const summary = document.getElementById('previewSummary');
+            const table = document.getElementById('previewTable');
+            document.getElementById('previewPanel').style.display = 'block';
+            
+            if (preview.totalCount === 0) {
+              summary.className = 'section warning-section';
+              summary.innerHTML = '<strong>' + escapeHtml(preview.reportName || '') + '</strong><br>The report returns no rows with these filters.';
+              table.innerHTML = '';
+              return;
+            }
+            
+            const estimate = preview.estimate;
+            const warnings = [];
+            if (!estimate.fitsInSpreadsheet) {
+              warnings.push('Not enough room left in this spreadsheet (' + estimate.maxSpreadsheetCells.toLocaleString() + ' cells): the import will be split into ' + estimate.sheets + ' part sheets, overflowing into new spreadsheets. Consider a Drive file export or more filters.');
+            }
+            if (estimate.executions > 1) {
+              warnings.push('Runs in ' + estimate.executions + ' executions; paused imports continue automatically.');
+            }
+            
+            summary.className = 'section' + (warnings.length > 0 ? ' warning-section' : '');
+            summary.innerHTML = '<strong>' + escapeHtml(preview.reportName || '') + '</strong><br>' +
+              preview.totalCount.toLocaleString() + ' rows (totalCount), ' + preview.headers.length + ' columns<br>' +
+              (preview.totalPageCount !== null ? preview.totalPageCount.toLocaleString() + ' preview pages (totalPageCount), ' : '') +
+              estimate.pages.toLocaleString() + ' import pages<br>' +
+              'About ' + estimate.cells.toLocaleString() + ' cells<br>' +
+              'Estimated run time: ' + formatDuration(estimate.seconds) +
+              (estimate.executions > 1 ? ' (about ' + formatDuration(estimate.wallClockSeconds) + ' including pauses)' : '') +
+              warnings.map(function(warning) { return '<br>⚠️ ' + escapeHtml(warning); }).join('');
+            
+            table.innerHTML = '<table class="preview-table"><thead><tr>' +
+              preview.headers.map(function(header) { return '<th>' + escapeHtml(String(header)) + '</th>'; }).join('') +
+              '</tr></thead><tbody>' +
+              preview.rows.map(function(row) {
+                return '<tr>' + row.map(function(value) {
+                  return '<td title="' + escapeHtml(String(value)) + '">' + escapeHtml(String(value)) + '</td>';
+                }).join('') + '</tr>';
+              }).join('') +
+              '</tbody></table>';
+          }
+          
           function handleSave(button) {
             const form = document.getElementById('configForm');
             if (!form.checkValidity()) {
@@ -128,6 +477,16 @@ function getGridImporterDialogHtml(config) {
             const reportId = document.getElementById('reportId').value.trim();
             const batchSize = document.getElementById('batchSize').value.trim() || '50000';
             const maxPages = document.getElementById('maxPages').value.trim();
+            const exportTarget = document.getElementById('exportTarget').value;
+            const gzip = document.getElementById('gzip').checked;
+            const incremental = {
+              mode: document.getElementById('mode').value,
+              targetSheet: document.getElementById('targetSheet').value.trim(),
+              watermarkColumn: document.getElementById('watermarkColumn').value.trim(),
+              runDateFilterColumn: document.getElementById('runDateFilterColumn').value.trim()
+            };
+            const filters = getFilterValues();
+            const columns = getColumnValues();
             
             if (!apiKey || !reportId) {
               alert('Please fill in all required fields');
@@ -142,17 +501,28 @@ function getGridImporterDialogHtml(config) {
             const originalText = button.innerHTML;
             button.innerHTML = originalText + '<span class="spinner"></span>';
             
+            // The job ID lets this dialog poll progress and cancel while the import runs
+            const jobId = 'job-' + new Date().getTime() + '-' + Math.floor(Math.random() * 1000000);
+            
             google.script.run
-              .withSuccessHandler(function() {
-                // Close config dialog
-                google.script.host.close();
+              .withSuccessHandler(function(result) {
+                if (result && !result.success) {
+                  showImportFailure(result.error);
+                }
               })
               .withFailureHandler(function(error) {
+                stopProgressPolling();
+                document.getElementById('progressPanel').style.display = 'none';
+                document.getElementById('configPanel').style.display = 'block';
                 buttons.forEach(btn => btn.disabled = false);
                 button.innerHTML = originalText;
                 alert('Error: ' + error.message);
               })
-              .saveGridImporterConfigAndImport(apiKey, reportId, batchSize, maxPages);
+              .saveGridImporterConfigAndImport(apiKey, reportId, batchSize, maxPages, jobId, exportTarget, gzip, incremental, filters, columns);
+            
+            document.getElementById('configPanel').style.display = 'none';
+            document.getElementById('progressPanel').style.display = 'block';
+            startProgressPolling(jobId);
           }
         </script>
       </body>
@@ -160,6 +530,20 @@ function getGridImporterDialogHtml(config) {
   `;
 }
 
+/**
+ * Select for an IS_MOST_RECENT_* override: as in report, TRUE or FALSE
+ */
+function getFilterToggleSelect(id, value, onLabel, offLabel) {
+  const current = String(value || '').toUpperCase();
+  return `
+    <select id="${id}">
+      <option value=""${current === '' ? ' selected' : ''}>As in report</option>
+      <option value="TRUE"${current === 'TRUE' ? ' selected' : ''}>${onLabel}</option>
+      <option value="FALSE"${current === 'FALSE' ? ' selected' : ''}>${offLabel}</option>
+    </select>
+  `;
+}
+
 function showGridImporterConfigDialog() {
   // For backward compatibility when called from library context
   const config = getGridImporterConfig();
@@ -167,12 +551,16 @@ function showGridImporterConfigDialog() {
   
   const htmlOutput = HtmlService.createHtmlOutput(html)
     .setWidth(550)
-    .setHeight(600);
+    .setHeight(900);
   
   SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Grid API Importer Setup');
 }
 
-function saveGridImporterConfigAndImport(apiKey, reportId, batchSize, maxPages) {
+function saveGridImporterConfigAndImport(apiKey, reportId, batchSize, maxPages, jobId, exportTarget, gzip, incremental, filters, columns) {
+  incremental = incremental || {};
+  filters = filters || {};
+  columns = columns || {};
+  
   // Save config
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   let configSheet = ss.getSheetByName(GRID_CONFIG_SHEET_NAME);
@@ -181,6 +569,8 @@ function saveGridImporterConfigAndImport(apiKey, reportId, batchSize, maxPages)
     configSheet = ss.insertSheet(GRID_CONFIG_SHEET_NAME);
   }
   
+  // Not in the dialog, so kept as it is
+  const columnCatalog = isColumnCatalogEnabled();
   configSheet.clear();
   
   const headers = [
@@ -188,7 +578,24 @@ function saveGridImporterConfigAndImport(apiKey, reportId, batchSize, maxPages)
     ['OP_API_KEY', apiKey, 'Your ObservePoint API key'],
     ['SAVED_REPORT_ID', reportId, 'The ID of the saved report to import'],
     ['BATCH_SIZE', batchSize, 'Number of rows to write at once'],
-    ['MAX_PAGES', maxPages, 'Maximum pages to fetch (leave empty for all pages)']
+    ['MAX_PAGES', maxPages, 'Maximum pages to fetch (leave empty for all pages)'],
+    ['EXPORT_TARGET', exportTarget || 'Sheet', 'Sheet, CSV in Drive or JSONL in Drive'],
+    ['EXPORT_GZIP', gzip ? 'TRUE' : 'FALSE', 'TRUE to gzip Drive export files'],
+    ['IMPORT_MODE', incremental.mode || 'Snapshot', 'Snapshot (new sheet per run) or Incremental (append new rows only)'],
+    ['TARGET_SHEET', incremental.targetSheet || '', 'Incremental: sheet to append to (default: report name)'],
+    ['WATERMARK_COLUMN', incremental.watermarkColumn || '', 'Incremental: increasing ID/timestamp column whose max value marks imported rows (empty: row hashes)'],
+    ['RUN_DATE_FILTER_COLUMN', incremental.runDateFilterColumn || '', 'Incremental: date column filtered to >= the last run date (optional)'],
+    ['FILTER_AUDIT_IDS', filters.auditIds || '', 'Override: comma-separated audit IDs (replaces the report\'s AUDIT_ID filter)'],
+    ['FILTER_RUN_DATE_COLUMN', filters.runDateColumn || 'RUN_DATE', 'Override: date column for FILTER_RUN_DATE_FROM/TO'],
+    ['FILTER_RUN_DATE_FROM', filters.runDateFrom || '', 'Override: first run date (yyyy-MM-dd)'],
+    ['FILTER_RUN_DATE_TO', filters.runDateTo || '', 'Override: last run date (yyyy-MM-dd)'],
+    ['FILTER_MOST_RECENT_RUN', filters.mostRecentRun || '', 'Override: TRUE for the most recent run only, FALSE for all runs (empty: as in report)'],
+    ['FILTER_MOST_RECENT_PAGE_SCAN', filters.mostRecentPageScan || '', 'Override: TRUE for the most recent page scan only, FALSE for all scans (empty: as in report)'],
+    ['FILTER_CONDITIONS', filters.conditions || '', 'Override: one "[NOT] COLUMN_ID operator arg1, arg2" per line (replaces report conditions on that column)'],
+    ['COLUMN_LABELS', columns.labels ? 'TRUE' : 'FALSE', 'TRUE to use human-readable column labels as headers instead of column IDs'],
+    ['COLUMN_MAPPING', columns.mapping || '', 'One per line: COLUMN_ID = Header (rename), COLUMN_ID (keep in this order), -COLUMN_ID (drop)'],
+    ['COERCE_TYPES', columns.coerceTypes ? 'TRUE' : 'FALSE', 'TRUE to convert values by column type (dates, numbers, booleans as checkboxes)'],
+    ['COLUMN_CATALOG', columnCatalog ? 'TRUE' : 'FALSE', 'TRUE to load column labels, types and query checks from the Grid column catalog (undocumented API endpoint)']
   ];
   
   configSheet.getRange(1, 1, headers.length, 3).setValues(headers);
@@ -204,130 +611,885 @@ function saveGridImporterConfigAndImport(apiKey, reportId, batchSize, maxPages)
   Logger.info('config_saved', 'Grid Importer configuration saved');
   
   // Run import immediately with the provided config
-  executeGridImport(apiKey, reportId, parseInt(batchSize), maxPages ? parseInt(maxPages) : null);
+  return executeGridImport(apiKey, reportId, parseInt(batchSize), maxPages ? parseInt(maxPages) : null, jobId, {
+    exportTarget: exportTarget,
+    gzip: gzip,
+    mode: incremental.mode,
+    targetSheet: incremental.targetSheet,
+    watermarkColumn: incremental.watermarkColumn,
+    runDateFilterColumn: incremental.runDateFilterColumn,
+    filters: filters,
+    columns: columns
+  });
+}
+
+/**
+ * Show live progress dialog for an import job (defaults to the most recent import)
+ */
+function showGridImporterLiveProgress(jobId) {
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        ${getDialogStyles()}
+        ${getImportProgressStyles()}
+      </head>
+      <body>
+        <h2>📊 Importing Data...</h2>
+        
+        ${getImportProgressBody()}
+        
+        ${getImportProgressScript()}
+        
+        <script>
+          // Start polling
+          startProgressPolling(${JSON.stringify(jobId || null)});
+        </script>
+      </body>
+    </html>
+  `;
+  
+  const htmlOutput = HtmlService.createHtmlOutput(html)
+    .setWidth(500)
+    .setHeight(450);
   
-  return true;
+  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Import Progress');
+}
+
+function getImportProgressStyles() {
+  return `
+    <style>
+      .progress-bar {
+        width: 100%;
+        height: 30px;
+        background-color: #e0e0e0;
+        border-radius: 15px;
+        overflow: hidden;
+        margin: 20px 0;
+      }
+      .progress-fill {
+        height: 100%;
+        background: linear-gradient(90deg, #1a73e8 0%, #4285f4 100%);
+        width: 0%;
+        transition: width 0.3s ease;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        color: white;
+        font-weight: bold;
+        font-size: 12px;
+      }
+      .status-text {
+        text-align: center;
+        color: #5f6368;
+        margin: 10px 0;
+        min-height: 20px;
+      }
+      .spinner-large {
+        border: 4px solid #f3f3f3;
+        border-top: 4px solid #1a73e8;
+        border-radius: 50%;
+        width: 40px;
+        height: 40px;
+        animation: spin 1s linear infinite;
+        margin: 20px auto;
+      }
+      .progress-stats {
+        display: grid;
+        grid-template-columns: 1fr 1fr;
+        gap: 6px 16px;
+        font-size: 13px;
+        color: #202124;
+      }
+      .progress-stats span {
+        color: #5f6368;
+      }
+      @keyframes spin {
+        0% { transform: rotate(0deg); }
+        100% { transform: rotate(360deg); }
+      }
+    </style>
+  `;
+}
+
+function getImportProgressBody() {
+  return `
+    <div class="spinner-large" id="progressSpinner"></div>
+    
+    <div class="status-text" id="statusText">Initializing import...</div>
+    
+    <div class="progress-bar">
+      <div class="progress-fill" id="progressFill"></div>
+    </div>
+    
+    <div class="section progress-stats">
+      <div><span>Phase:</span> <strong id="phaseText">starting</strong></div>
+      <div><span>Pages:</span> <strong id="pagesText">-</strong></div>
+      <div><span>Rows written:</span> <strong id="rowsText">0</strong></div>
+      <div><span>Time remaining:</span> <strong id="etaText">-</strong></div>
+    </div>
+    
+    <div class="section">
+      <p id="detailsText" style="font-size: 13px; color: #5f6368; text-align: center;">
+        Please wait while we fetch your data from ObservePoint...
+      </p>
+      <p id="exportLink" style="font-size: 13px; text-align: center; display: none;">
+        <a id="exportLinkAnchor" href="#" target="_blank">Open exported file(s) in Drive</a>
+      </p>
+    </div>
+    
+    <div class="button-container">
+      <button class="btn-cancel" id="cancelImportBtn" onclick="cancelImport()">Cancel Import</button>
+      <button class="btn-primary" id="closeProgressBtn" onclick="google.script.host.close()" style="display: none;">Close</button>
+    </div>
+  `;
+}
+
+/**
+ * Client-side polling shared by the progress dialogs. Progress is read from
+ * the server by job ID, so it reflects imports running in other executions.
+ */
+function getImportProgressScript() {
+  return `
+    <script>
+      let progressJobId = null;
+      let progressTimer = null;
+      
+      function startProgressPolling(jobId) {
+        progressJobId = jobId;
+        progressTimer = setTimeout(checkProgress, 1000);
+      }
+      
+      function stopProgressPolling() {
+        clearTimeout(progressTimer);
+        progressTimer = null;
+      }
+      
+      // Poll for progress updates
+      function checkProgress() {
+        google.script.run
+          .withSuccessHandler(updateProgress)
+          .withFailureHandler(function(error) {
+            console.error('Progress check failed:', error);
+            progressTimer = setTimeout(checkProgress, 2000);
+          })
+          .getImportProgress(progressJobId);
+      }
+      
+      function formatEta(seconds) {
+        if (seconds === null || seconds === undefined) return '-';
+        if (seconds < 60) return seconds + 's';
+        return Math.floor(seconds / 60) + 'm ' + (seconds % 60) + 's';
+      }
+      
+      function updateProgress(progress) {
+        if (!progress) {
+          progressTimer = setTimeout(checkProgress, 1000);
+          return;
+        }
+        
+        progressJobId = progress.jobId;
+        
+        document.getElementById('statusText').textContent = progress.status || 'Processing...';
+        document.getElementById('detailsText').textContent = progress.details || '';
+        document.getElementById('phaseText').textContent = progress.phase || '-';
+        document.getElementById('pagesText').textContent = progress.pagesFetched
+          ? progress.pagesFetched + (progress.totalPages ? ' / ' + progress.totalPages : '')
+          : '-';
+        document.getElementById('rowsText').textContent = (progress.rowsWritten || 0).toLocaleString();
+        document.getElementById('etaText').textContent = formatEta(progress.etaSeconds);
+        
+        if (progress.percent) {
+          document.getElementById('progressFill').style.width = progress.percent + '%';
+          document.getElementById('progressFill').textContent = progress.percent + '%';
+        }
+        
+        if (progress.exportUrl) {
+          document.getElementById('exportLinkAnchor').href = progress.exportUrl;
+          document.getElementById('exportLink').style.display = 'block';
+        }
+        
+        if (progress.complete) {
+          // Import is done - leave the final status visible
+          stopProgressPolling();
+          document.getElementById('progressSpinner').style.display = 'none';
+          document.getElementById('cancelImportBtn').style.display = 'none';
+          document.getElementById('closeProgressBtn').style.display = 'inline-block';
+        } else {
+          // Keep polling
+          progressTimer = setTimeout(checkProgress, 1000);
+        }
+      }
+      
+      function showImportFailure(message) {
+        updateProgress({ jobId: progressJobId, phase: 'failed', status: 'Import failed', details: message, complete: true });
+      }
+      
+      function cancelImport() {
+        const button = document.getElementById('cancelImportBtn');
+        button.disabled = true;
+        button.textContent = 'Cancelling...';
+        
+        google.script.run
+          .withFailureHandler(function(error) {
+            button.disabled = false;
+            button.textContent = 'Cancel Import';
+            alert('Error: ' + error.message);
+          })
+          .cancelGridImport(progressJobId);
+      }
+    </script>
+  `;
 }
 
 /**
- * Show live progress dialog that updates during import
+ * Schedule Import dialog: list schedules and add or delete them
  */
-function showGridImporterLiveProgress() {
+function showGridImporterScheduleDialog() {
   const html = `
     <!DOCTYPE html>
     <html>
       <head>
         ${getDialogStyles()}
         <style>
-          .progress-bar {
+          .form-row {
+            display: flex;
+            gap: 12px;
+          }
+          .form-group {
+            margin: 12px 0;
+            flex: 1;
+          }
+          label {
+            display: block;
+            margin-bottom: 6px;
+            font-weight: 500;
+            color: #202124;
+          }
+          input, select {
             width: 100%;
-            height: 30px;
-            background-color: #e0e0e0;
-            border-radius: 15px;
-            overflow: hidden;
-            margin: 20px 0;
+            padding: 8px;
+            border: 1px solid #dadce0;
+            border-radius: 4px;
+            font-size: 14px;
+            font-family: 'Google Sans', Arial, sans-serif;
+            box-sizing: border-box;
+          }
+          .help-text {
+            font-size: 12px;
+            color: #5f6368;
+            margin-top: 4px;
+          }
+          table {
+            width: 100%;
+            border-collapse: collapse;
+            font-size: 13px;
+          }
+          th, td {
+            text-align: left;
+            padding: 6px;
+            border-bottom: 1px solid #e0e0e0;
+          }
+          td button {
+            padding: 4px 10px;
+            font-size: 12px;
+          }
+        </style>
+      </head>
+      <body>
+        <h2>⏰ Schedule Import</h2>
+        
+        <div class="section">
+          <table>
+            <thead>
+              <tr><th>Report</th><th>When</th><th>Retention</th><th>Last Status</th><th></th></tr>
+            </thead>
+            <tbody id="scheduleRows">
+              <tr><td colspan="5">Loading...</td></tr>
+            </tbody>
+          </table>
+        </div>
+        
+        <form id="scheduleForm">
+          <div class="form-row">
+            <div class="form-group">
+              <label>Saved Report ID</label>
+              <input type="text" id="reportId" required placeholder="e.g., 12345">
+            </div>
+            <div class="form-group">
+              <label>Frequency</label>
+              <select id="frequency" onchange="toggleScheduleFields()">
+                ${GRID_SCHEDULE_FREQUENCIES.map(function(f) { return `<option value="${f}"${f === 'Daily' ? ' selected' : ''}>${f}</option>`; }).join('')}
+              </select>
+            </div>
+          </div>
+          
+          <div class="form-row">
+            <div class="form-group" id="hourGroup">
+              <label>Hour (0-23)</label>
+              <input type="number" id="hour" min="0" max="23" value="6">
+            </div>
+            <div class="form-group" id="weekdayGroup">
+              <label>Weekday</label>
+              <select id="weekday">
+                ${GRID_SCHEDULE_WEEKDAYS.map(function(d) { return `<option value="${d}">${d.charAt(0) + d.substring(1).toLowerCase()}</option>`; }).join('')}
+              </select>
+            </div>
+          </div>
+          
+          <div class="form-row">
+            <div class="form-group">
+              <label>Keep Last N Snapshots</label>
+              <input type="number" id="keepLast" min="1" placeholder="Keep all">
+            </div>
+            <div class="form-group">
+              <label>Delete Older Than (Days)</label>
+              <input type="number" id="maxAgeDays" min="1" placeholder="Never">
+            </div>
+          </div>
+          <div class="help-text">Each run creates a new timestamped sheet. Retention deletes older snapshot sheets of the same report after every run.</div>
+        </form>
+        
+        <div class="button-container">
+          <button class="btn-cancel" onclick="google.script.host.close()">Close</button>
+          <button class="btn-primary" id="addBtn" onclick="addSchedule(this)">Add Schedule</button>
+        </div>
+        
+        <script>
+          function toggleScheduleFields() {
+            const frequency = document.getElementById('frequency').value;
+            document.getElementById('hourGroup').style.visibility = frequency === 'Hourly' ? 'hidden' : 'visible';
+            document.getElementById('weekdayGroup').style.visibility = frequency === 'Weekly' ? 'visible' : 'hidden';
+          }
+          
+          function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+          }
+          
+          function renderSchedules(schedules) {
+            const tbody = document.getElementById('scheduleRows');
+            
+            if (!schedules || schedules.length === 0) {
+              tbody.innerHTML = '<tr><td colspan="5">No scheduled imports yet</td></tr>';
+              return;
+            }
+            
+            tbody.innerHTML = schedules.map(function(s) {
+              let when = s.frequency;
+              if (s.frequency === 'Daily') when += ' at ' + s.hour + ':00';
+              if (s.frequency === 'Weekly') when += ' on ' + s.weekday + ' at ' + s.hour + ':00';
+              
+              const retention = [
+                s.keepLast ? 'last ' + s.keepLast : '',
+                s.maxAgeDays ? s.maxAgeDays + ' days' : ''
+              ].filter(Boolean).join(', ') || 'keep all';
+              
+              return '<tr><td>' + escapeHtml(s.reportId) + '</td><td>' + escapeHtml(when) + '</td><td>' + escapeHtml(retention) +
+                '</td><td>' + escapeHtml(s.lastStatus) + '</td>' +
+                '<td><button class="btn-cancel" onclick="deleteSchedule(\\'' + s.scheduleId + '\\', this)">Delete</button></td></tr>';
+            }).join('');
+          }
+          
+          function showError(error) {
+            document.querySelectorAll('button').forEach(btn => btn.disabled = false);
+            alert('Error: ' + error.message);
+          }
+          
+          function addSchedule(button) {
+            const form = document.getElementById('scheduleForm');
+            if (!form.checkValidity()) {
+              form.reportValidity();
+              return;
+            }
+            
+            const schedule = {
+              reportId: document.getElementById('reportId').value.trim(),
+              frequency: document.getElementById('frequency').value,
+              hour: parseInt(document.getElementById('hour').value, 10),
+              weekday: document.getElementById('weekday').value,
+              keepLast: parseInt(document.getElementById('keepLast').value, 10) || null,
+              maxAgeDays: parseInt(document.getElementById('maxAgeDays').value, 10) || null
+            };
+            
+            button.disabled = true;
+            google.script.run
+              .withSuccessHandler(function(schedules) {
+                button.disabled = false;
+                form.reset();
+                toggleScheduleFields();
+                renderSchedules(schedules);
+              })
+              .withFailureHandler(showError)
+              .saveGridImportSchedule(schedule);
+          }
+          
+          function deleteSchedule(scheduleId, button) {
+            if (!confirm('Delete this schedule?')) {
+              return;
+            }
+            
+            button.disabled = true;
+            google.script.run
+              .withSuccessHandler(renderSchedules)
+              .withFailureHandler(showError)
+              .deleteGridImportSchedule(scheduleId);
           }
-          .progress-fill {
-            height: 100%;
-            background: linear-gradient(90deg, #1a73e8 0%, #4285f4 100%);
-            width: 0%;
-            transition: width 0.3s ease;
+          
+          toggleScheduleFields();
+          google.script.run
+            .withSuccessHandler(renderSchedules)
+            .withFailureHandler(showError)
+            .getGridImportSchedules();
+        </script>
+      </body>
+    </html>
+  `;
+  
+  const htmlOutput = HtmlService.createHtmlOutput(html)
+    .setWidth(650)
+    .setHeight(650);
+  
+  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Schedule Import');
+}
+
+/**
+ * Compare Snapshots dialog: pick two sheets and key columns, then write the diff sheet
+ */
+function showCompareSnapshotsDialog() {
+  const sheets = getCompareSnapshotSheets();
+  const escape = function(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  };
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        ${getDialogStyles()}
+        <style>
+          .form-row {
             display: flex;
-            align-items: center;
-            justify-content: center;
-            color: white;
-            font-weight: bold;
+            gap: 12px;
+          }
+          .form-group {
+            margin: 12px 0;
+            flex: 1;
+          }
+          label {
+            display: block;
+            margin-bottom: 6px;
+            font-weight: 500;
+            color: #202124;
+          }
+          select {
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #dadce0;
+            border-radius: 4px;
+            font-size: 14px;
+            font-family: 'Google Sans', Arial, sans-serif;
+            box-sizing: border-box;
+          }
+          .help-text {
             font-size: 12px;
+            color: #5f6368;
+            margin-top: 4px;
+          }
+          #keyColumns {
+            max-height: 220px;
+            overflow-y: auto;
+            font-size: 13px;
+          }
+          #keyColumns label {
+            font-weight: normal;
+            margin: 2px 0;
           }
-          .status-text {
-            text-align: center;
+        </style>
+      </head>
+      <body>
+        <h2>🔍 Compare Snapshots</h2>
+        
+        <div class="form-row">
+          <div class="form-group">
+            <label>Old Snapshot</label>
+            <select id="oldSheet" onchange="loadColumns()">
+              ${sheets.map(function(name, i) { return `<option value="${escape(name)}"${i === sheets.length - 2 ? ' selected' : ''}>${escape(name)}</option>`; }).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label>New Snapshot</label>
+            <select id="newSheet">
+              ${sheets.map(function(name, i) { return `<option value="${escape(name)}"${i === sheets.length - 1 ? ' selected' : ''}>${escape(name)}</option>`; }).join('')}
+            </select>
+          </div>
+        </div>
+        
+        <div class="form-group">
+          <label>Key Columns</label>
+          <div class="section" id="keyColumns">Loading...</div>
+          <div class="help-text">Rows with the same key values are compared column by column</div>
+        </div>
+        
+        <div class="section" id="result" style="display: none;"></div>
+        
+        <div class="button-container">
+          <button class="btn-cancel" onclick="google.script.host.close()">Close</button>
+          <button class="btn-primary" id="compareBtn" onclick="runCompare(this)">Compare</button>
+        </div>
+        
+        <script>
+          function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            // Column names also go into value="..." attributes
+            return div.innerHTML.replace(/"/g, '&quot;');
+          }
+          
+          function showError(error) {
+            document.querySelectorAll('button').forEach(btn => btn.disabled = false);
+            alert('Error: ' + error.message);
+          }
+          
+          function loadColumns() {
+            const container = document.getElementById('keyColumns');
+            container.textContent = 'Loading...';
+            
+            google.script.run
+              .withSuccessHandler(function(columns) {
+                container.innerHTML = columns.map(function(column) {
+                  return '<label><input type="checkbox" value="' + escapeHtml(column) + '"> ' + escapeHtml(column) + '</label>';
+                }).join('');
+              })
+              .withFailureHandler(function(error) {
+                container.textContent = error.message;
+              })
+              .getSnapshotColumns(document.getElementById('oldSheet').value);
+          }
+          
+          function runCompare(button) {
+            const keyColumns = Array.prototype.map.call(document.querySelectorAll('#keyColumns input:checked'), function(input) {
+              return input.value;
+            });
+            
+            if (keyColumns.length === 0) {
+              alert('Choose at least one key column');
+              return;
+            }
+            
+            button.disabled = true;
+            button.innerHTML = 'Compare<span class="spinner"></span>';
+            
+            google.script.run
+              .withSuccessHandler(function(result) {
+                button.disabled = false;
+                button.textContent = 'Compare';
+                const panel = document.getElementById('result');
+                panel.style.display = 'block';
+                panel.innerHTML = '<strong>' + escapeHtml(result.sheetName) + '</strong><br>' +
+                  result.added + ' added, ' + result.removed + ' removed, ' +
+                  result.changed + ' changed, ' + result.unchanged + ' unchanged';
+              })
+              .withFailureHandler(function(error) {
+                button.textContent = 'Compare';
+                showError(error);
+              })
+              .compareSnapshots(document.getElementById('oldSheet').value, document.getElementById('newSheet').value, keyColumns);
+          }
+          
+          ${sheets.length > 0 ? 'loadColumns();' : "document.getElementById('keyColumns').textContent = 'No sheets to compare';"}
+        </script>
+      </body>
+    </html>
+  `;
+  
+  const htmlOutput = HtmlService.createHtmlOutput(html)
+    .setWidth(600)
+    .setHeight(600);
+  
+  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Compare Snapshots');
+}
+
+/**
+ * Ad-hoc query editor: paste or load a queryDefinition, validate it and import it
+ */
+function showGridQueryDialog() {
+  const config = getGridQueryConfig();
+  const escape = function(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+  };
+  
+  const html = `
+    <!DOCTYPE html>
+    <html>
+      <head>
+        ${getDialogStyles()}
+        <style>
+          .form-row {
+            display: flex;
+            gap: 12px;
+          }
+          .form-group {
+            margin: 12px 0;
+            flex: 1;
+          }
+          label {
+            display: block;
+            margin-bottom: 6px;
+            font-weight: 500;
+            color: #202124;
+          }
+          input, textarea, select {
+            width: 100%;
+            padding: 8px;
+            border: 1px solid #dadce0;
+            border-radius: 4px;
+            font-size: 14px;
+            font-family: 'Google Sans', Arial, sans-serif;
+            box-sizing: border-box;
+          }
+          textarea {
+            font-family: monospace;
+            font-size: 12px;
+          }
+          .help-text {
+            font-size: 12px;
             color: #5f6368;
-            margin: 10px 0;
-            min-height: 20px;
-          }
-          .spinner-large {
-            border: 4px solid #f3f3f3;
-            border-top: 4px solid #1a73e8;
-            border-radius: 50%;
-            width: 40px;
-            height: 40px;
-            animation: spin 1s linear infinite;
-            margin: 20px auto;
-          }
-          @keyframes spin {
-            0% { transform: rotate(0deg); }
-            100% { transform: rotate(360deg); }
+            margin-top: 4px;
+          }
+          .checkbox-label {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-weight: normal;
+          }
+          .checkbox-label input {
+            width: auto;
           }
         </style>
+        ${getImportProgressStyles()}
       </head>
       <body>
-        <h2>📊 Importing Data...</h2>
+        <div id="configPanel">
+        <h2>🧪 Run Ad-hoc Query</h2>
+        
+        <div class="form-group">
+          <label>ObservePoint API Key</label>
+          <input type="password" id="apiKey" value="${escape(config.apiKey)}">
+        </div>
+        
+        <div class="form-row">
+          <div class="form-group">
+            <label>Grid Entity Type</label>
+            <input type="text" id="gridEntityType" list="entityTypes" value="${escape(config.gridEntityType)}">
+            <datalist id="entityTypes">
+              ${GRID_ENTITY_TYPES.map(function(type) { return `<option value="${type}">`; }).join('')}
+            </datalist>
+          </div>
+          <div class="form-group">
+            <label>Name</label>
+            <input type="text" id="queryName" value="${escape(config.name)}" placeholder="Sheet / saved report name">
+          </div>
+        </div>
         
-        <div class="spinner-large"></div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Start From Saved Report (Optional)</label>
+            <input type="text" id="loadReportId" placeholder="e.g., 12345">
+          </div>
+          <div class="form-group" style="flex: 0; align-self: flex-end;">
+            <button class="btn-cancel" id="loadBtn" onclick="loadReport(this)">Load</button>
+          </div>
+        </div>
         
-        <div class="status-text" id="statusText">Initializing import...</div>
+        <div class="form-group">
+          <label>Query Definition (JSON)</label>
+          <textarea id="queryText" rows="14" placeholder='{ "columns": [{ "columnId": "LINK_URL" }], "filters": { "conditions": [], "conditionMatchMode": "all" }, "sortBy": [] }'>${escape(config.queryText)}</textarea>
+          <div class="help-text">A queryDefinition, or a whole saved report with gridEntityType and queryDefinition</div>
+        </div>
         
-        <div class="progress-bar">
-          <div class="progress-fill" id="progressFill"></div>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Add Column</label>
+            <select id="columnSelect" onfocus="loadColumns()">
+              <option value="">Click to load the entity type's columns</option>
+            </select>
+          </div>
+          <div class="form-group" style="flex: 0; align-self: flex-end;">
+            <button class="btn-cancel" onclick="addColumn()">Add</button>
+          </div>
         </div>
         
-        <div class="section">
-          <p id="detailsText" style="font-size: 13px; color: #5f6368; text-align: center;">
-            Please wait while we fetch your data from ObservePoint...
-          </p>
+        <div class="form-row">
+          <div class="form-group">
+            <label>Export Target</label>
+            <select id="exportTarget">
+              ${Object.keys(GRID_EXPORT_TARGETS).map(function(label) { return `<option value="${label}">${label}</option>`; }).join('')}
+            </select>
+          </div>
+          <div class="form-group" style="align-self: flex-end;">
+            <label class="checkbox-label"><input type="checkbox" id="saveAsReport"> Save as a new saved report</label>
+          </div>
         </div>
         
+        <div class="section" id="result" style="display: none;"></div>
+        
+        <div class="button-container">
+          <button class="btn-cancel" onclick="google.script.host.close()">Close</button>
+          <button class="btn-cancel" id="validateBtn" onclick="validateQuery(this)">Validate</button>
+          <button class="btn-primary" id="runBtn" onclick="runQuery(this)">Run Query</button>
+        </div>
+        </div>
+        
+        <div id="progressPanel" style="display: none;">
+          <h2>📊 Importing Data...</h2>
+          ${getImportProgressBody()}
+        </div>
+        
+        ${getImportProgressScript()}
+        
         <script>
-          // Poll for progress updates
-          function checkProgress() {
-            google.script.run
-              .withSuccessHandler(updateProgress)
+          function value(id) {
+            return document.getElementById(id).value.trim();
+          }
+          
+          function escapeHtml(text) {
+            const div = document.createElement('div');
+            div.textContent = text;
+            return div.innerHTML;
+          }
+          
+          function showResult(html, className) {
+            const panel = document.getElementById('result');
+            panel.className = 'section ' + (className || '');
+            panel.style.display = 'block';
+            panel.innerHTML = html;
+          }
+          
+          function withButton(button, label, call) {
+            button.disabled = true;
+            button.innerHTML = label + '<span class="spinner"></span>';
+            return google.script.run
               .withFailureHandler(function(error) {
-                console.error('Progress check failed:', error);
+                button.disabled = false;
+                button.textContent = label;
+                showResult(escapeHtml(error.message), 'error-section');
+              });
+          }
+          
+          function loadReport(button) {
+            withButton(button, 'Load')
+              .withSuccessHandler(function(query) {
+                button.disabled = false;
+                button.textContent = 'Load';
+                document.getElementById('gridEntityType').value = query.gridEntityType;
+                document.getElementById('queryName').value = (query.name || '') + ' (copy)';
+                document.getElementById('queryText').value = query.queryText;
               })
-              .getImportProgress();
+              .loadSavedReportQuery(value('apiKey'), value('loadReportId'));
           }
           
-          function updateProgress(progress) {
-            if (!progress) {
-              setTimeout(checkProgress, 1000);
+          let loadedColumnsFor = null;
+          
+          function loadColumns() {
+            const entityType = value('gridEntityType');
+            if (!value('apiKey') || !entityType || loadedColumnsFor === entityType) {
               return;
             }
             
-            document.getElementById('statusText').textContent = progress.status || 'Processing...';
-            document.getElementById('detailsText').textContent = progress.details || '';
+            loadedColumnsFor = entityType;
+            const select = document.getElementById('columnSelect');
+            select.innerHTML = '<option value="">Loading...</option>';
+            
+            google.script.run
+              .withSuccessHandler(function(columns) {
+                select.innerHTML = columns.map(function(column) {
+                  return '<option value="' + escapeHtml(column.columnId) + '">' + escapeHtml(column.columnId + ' - ' + column.label + (column.type ? ' (' + column.type + ')' : '')) + '</option>';
+                }).join('');
+              })
+              .withFailureHandler(function(error) {
+                loadedColumnsFor = null;
+                select.innerHTML = '<option value="">' + escapeHtml(error.message) + '</option>';
+              })
+              .getGridColumnCatalog(value('apiKey'), entityType);
+          }
+          
+          function addColumn() {
+            const columnId = value('columnSelect');
+            if (!columnId) {
+              return;
+            }
             
-            if (progress.percent) {
-              document.getElementById('progressFill').style.width = progress.percent + '%';
-              document.getElementById('progressFill').textContent = progress.percent + '%';
+            const textarea = document.getElementById('queryText');
+            let query;
+            try {
+              query = textarea.value.trim() ? JSON.parse(textarea.value) : { columns: [], filters: { conditions: [], conditionMatchMode: 'all' }, sortBy: [] };
+            } catch (e) {
+              showResult('Fix the JSON before adding columns: ' + escapeHtml(e.message), 'error-section');
+              return;
             }
             
-            if (progress.complete) {
-              // Import is done, close this dialog
-              setTimeout(function() {
-                google.script.host.close();
-              }, 1000);
-            } else {
-              // Keep polling
-              setTimeout(checkProgress, 1000);
+            const definition = query.queryDefinition || query;
+            definition.columns = definition.columns || [];
+            if (!definition.columns.some(function(column) { return column.columnId === columnId; })) {
+              definition.columns.push({ columnId: columnId });
             }
+            textarea.value = JSON.stringify(query, null, 2);
           }
           
-          // Start polling
-          setTimeout(checkProgress, 1000);
+          function validateQuery(button) {
+            withButton(button, 'Validate')
+              .withSuccessHandler(function(result) {
+                button.disabled = false;
+                button.textContent = 'Validate';
+                showResult('✅ Valid ' + escapeHtml(result.gridEntityType) + ' query: ' +
+                  result.totalCount.toLocaleString() + ' rows<br>Columns: ' + escapeHtml(result.columns.join(', ')), 'success-section');
+              })
+              .validateGridQuery(value('apiKey'), value('gridEntityType'), value('queryText'));
+          }
+          
+          function runQuery(button) {
+            const jobId = 'job-' + new Date().getTime() + '-' + Math.floor(Math.random() * 1000000);
+            
+            withButton(button, 'Run Query')
+              .withSuccessHandler(function(result) {
+                if (result && !result.success) {
+                  showImportFailure(result.error);
+                } else if (result && result.savedReportId) {
+                  const note = document.createElement('p');
+                  note.className = 'info-text';
+                  note.textContent = 'Saved as report ' + result.savedReportId;
+                  document.getElementById('progressPanel').appendChild(note);
+                }
+              })
+              .withFailureHandler(function(error) {
+                stopProgressPolling();
+                document.getElementById('progressPanel').style.display = 'none';
+                document.getElementById('configPanel').style.display = 'block';
+                button.disabled = false;
+                button.textContent = 'Run Query';
+                showResult(escapeHtml(error.message), 'error-section');
+              })
+              .runGridQuery(value('apiKey'), value('gridEntityType'), value('queryText'), value('queryName'),
+                document.getElementById('saveAsReport').checked, jobId, value('exportTarget'));
+            
+            document.getElementById('configPanel').style.display = 'none';
+            document.getElementById('progressPanel').style.display = 'block';
+            startProgressPolling(jobId);
+          }
         </script>
       </body>
     </html>
   `;
   
   const htmlOutput = HtmlService.createHtmlOutput(html)
-    .setWidth(500)
-    .setHeight(400);
+    .setWidth(650)
+    .setHeight(750);
   
-  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Import Progress');
+  SpreadsheetApp.getUi().showModalDialog(htmlOutput, 'Run Ad-hoc Query');
 }
 
-
 function showGridImporterProgressDialog(reportName, totalRows, duration, sheetName) {
   const html = `
     <!DOCTYPE html>
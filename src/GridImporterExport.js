@@ -0,0 +1,107 @@
+/**
+ * Drive export targets for Grid Importer
+ * Instead of a sheet, an import can be written to CSV or JSONL files in a new
+ * Drive folder. Every write batch becomes one or more chunk files (optionally
+ * gzipped), so reports too large or too wide for Sheets can still be exported.
+ */
+
+const GRID_EXPORT_TARGETS = {
+  'Sheet': 'sheet',
+  'CSV in Drive': 'csv',
+  'JSONL in Drive': 'jsonl'
+};
+
+// Keeps each chunk well below the 50MB Apps Script blob limit
+const EXPORT_ROWS_PER_FILE = 100000;
+
+/**
+ * Map the EXPORT_TARGET config value ("Sheet", "CSV in Drive", "JSONL in Drive") to its target key
+ */
+function normalizeExportTarget(value) {
+  if (!value) {
+    return 'sheet';
+  }
+  
+  const target = GRID_EXPORT_TARGETS[value] || String(value).toLowerCase();
+  
+  if (['sheet', 'csv', 'jsonl'].indexOf(target) === -1) {
+    throw new Error(`Unknown export target "${value}". Use one of: ${Object.keys(GRID_EXPORT_TARGETS).join(', ')}`);
+  }
+  
+  return target;
+}
+
+function isFileExport(state) {
+  return state.exportTarget === 'csv' || state.exportTarget === 'jsonl';
+}
+
+/**
+ * Write rows as chunk files in the import's Drive folder
+ */
+function writeExportFiles(state, rows) {
+  const folder = DriveApp.getFolderById(state.folderId);
+  
+  for (let start = 0; start < rows.length; start += EXPORT_ROWS_PER_FILE) {
+    const chunk = rows.slice(start, start + EXPORT_ROWS_PER_FILE);
+    const partNumber = ('00' + (state.files.length + 1)).slice(-3);
+    const extension = state.exportTarget === 'csv' ? 'csv' : 'jsonl';
+    const fileName = `${state.baseSheetName}_part${partNumber}.${extension}`;
+    
+    const content = state.exportTarget === 'csv'
+      ? toCsv(state.outputHeaders, chunk)
+      : toJsonLines(state.outputHeaders, chunk);
+    
+    let blob = Utilities.newBlob(content, state.exportTarget === 'csv' ? 'text/csv' : 'application/x-ndjson', fileName);
+    if (state.gzip) {
+      blob = Utilities.gzip(blob, fileName + '.gz');
+    }
+    
+    const file = folder.createFile(blob);
+    state.files.push({ id: file.getId(), name: file.getName(), url: file.getUrl(), rows: chunk.length });
+    state.rowsWritten += chunk.length;
+    
+    log('INFO', 'export_file_written', `Wrote ${chunk.length} rows to ${file.getName()}`);
+  }
+}
+
+/**
+ * CSV chunk with its own header row, so every file can be loaded on its own
+ */
+function toCsv(headers, rows) {
+  return [headers].concat(rows).map(function(row) {
+    return row.map(toCsvValue).join(',');
+  }).join('\r\n') + '\r\n';
+}
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+function toJsonLines(headers, rows) {
+  return rows.map(function(row) {
+    const record = {};
+    headers.forEach(function(header, i) {
+      record[header] = row[i] === undefined ? null : row[i];
+    });
+    return JSON.stringify(record);
+  }).join('\n') + '\n';
+}
+
+/**
+ * Link returned to the user: the file itself for single-file exports, otherwise the folder
+ */
+function getExportUrl(state) {
+  return state.files.length === 1 ? state.files[0].url : state.folderUrl;
+}
+
+/**
+ * Trash the Drive folder (and its files) written by an export
+ */
+function deleteExportFiles(state) {
+  DriveApp.getFolderById(state.folderId).setTrashed(true);
+}
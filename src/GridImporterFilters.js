@@ -0,0 +1,187 @@
+/**
+ * Runtime filter overrides for Grid Importer
+ * Lets one saved report serve many customers and time windows. Overrides from
+ * the config sheet (or import dialog) replace the report's conditions on the
+ * same column, or are added to its conditions, before the query is posted:
+ *   - FILTER_AUDIT_IDS: AUDIT_ID in the listed audit IDs
+ *   - FILTER_RUN_DATE_FROM / FILTER_RUN_DATE_TO: range on FILTER_RUN_DATE_COLUMN
+ *   - FILTER_MOST_RECENT_RUN / FILTER_MOST_RECENT_PAGE_SCAN: TRUE keeps only the
+ *     most recent run / page scan, FALSE removes the report's condition
+ *   - FILTER_CONDITIONS: one "[NOT] COLUMN_ID operator arg1, arg2" per line
+ */
+
+const GRID_FILTER_CONFIG_KEYS = {
+  auditIds: 'FILTER_AUDIT_IDS',
+  runDateColumn: 'FILTER_RUN_DATE_COLUMN',
+  runDateFrom: 'FILTER_RUN_DATE_FROM',
+  runDateTo: 'FILTER_RUN_DATE_TO',
+  mostRecentRun: 'FILTER_MOST_RECENT_RUN',
+  mostRecentPageScan: 'FILTER_MOST_RECENT_PAGE_SCAN',
+  conditions: 'FILTER_CONDITIONS'
+};
+
+const DEFAULT_RUN_DATE_COLUMN = 'RUN_DATE';
+
+/**
+ * Filter override values from the config sheet
+ */
+function getFilterOverridesFromConfig() {
+  const values = {};
+  
+  Object.keys(GRID_FILTER_CONFIG_KEYS).forEach(function(field) {
+    values[field] = getConfigValue(GRID_FILTER_CONFIG_KEYS[field]);
+  });
+  
+  return values;
+}
+
+/**
+ * Replace or add conditions in `queryDefinition` from override values
+ * (see getFilterOverridesFromConfig). Empty values leave the report as it is.
+ */
+function applyFilterOverrides(queryDefinition, values) {
+  const overrides = buildFilterOverrides(values || {});
+  const columnIds = Object.keys(overrides);
+  
+  if (columnIds.length === 0) {
+    return;
+  }
+  
+  const filters = queryDefinition.filters || { conditions: [], conditionMatchMode: 'all' };
+  const kept = (filters.conditions || []).filter(function(condition) {
+    return !overrides.hasOwnProperty(condition.filteredColumn.columnId);
+  });
+  const added = columnIds.reduce(function(all, columnId) {
+    return all.concat(overrides[columnId]);
+  }, []);
+  
+  if (filters.conditionMatchMode === 'any' && kept.length > 0 && added.length > 0) {
+    throw new Error('Filter overrides cannot be added to a report whose filters match "any" condition');
+  }
+  
+  filters.conditions = kept.concat(added);
+  queryDefinition.filters = filters;
+  
+  log('INFO', 'filters_overridden', `Filter overrides for ${columnIds.join(', ')}: ` +
+    (added.length > 0 ? added.map(describeCondition).join('; ') : 'report conditions removed'));
+}
+
+/**
+ * Override conditions by column ID. An empty list removes the report's
+ * conditions on that column without adding any.
+ */
+function buildFilterOverrides(values) {
+  const overrides = {};
+  
+  function addCondition(columnId, operator, args, negated) {
+    overrides[columnId] = overrides[columnId] || [];
+    overrides[columnId].push({
+      negated: !!negated,
+      operator: operator,
+      filteredColumn: {
+        columnId: columnId
+      },
+      args: args
+    });
+  }
+  
+  const auditIds = splitFilterList(values.auditIds).map(function(id) {
+    if (!/^\d+$/.test(id)) {
+      throw new Error(`Audit ID "${id}" is not a number`);
+    }
+    return parseInt(id);
+  });
+  if (auditIds.length > 0) {
+    addCondition('AUDIT_ID', 'integer_in', auditIds);
+  }
+  
+  const runDateColumn = String(values.runDateColumn || '').trim() || DEFAULT_RUN_DATE_COLUMN;
+  if (!isEmptyFilterValue(values.runDateFrom)) {
+    addCondition(runDateColumn, 'date_gte', [formatFilterDate(values.runDateFrom)]);
+  }
+  if (!isEmptyFilterValue(values.runDateTo)) {
+    addCondition(runDateColumn, 'date_lte', [formatFilterDate(values.runDateTo)]);
+  }
+  
+  [['IS_MOST_RECENT_RUN', values.mostRecentRun], ['IS_MOST_RECENT_PAGE_SCAN', values.mostRecentPageScan]].forEach(function(toggle) {
+    if (isEmptyFilterValue(toggle[1])) {
+      return;
+    }
+    
+    overrides[toggle[0]] = overrides[toggle[0]] || [];
+    if (toggle[1] === true || String(toggle[1]).toUpperCase() === 'TRUE') {
+      addCondition(toggle[0], 'integer_in', [1]);
+    }
+  });
+  
+  String(values.conditions || '').split(/[\n;]/).forEach(function(line) {
+    if (!line.trim()) {
+      return;
+    }
+    
+    const condition = parseFilterCondition(line.trim());
+    addCondition(condition.columnId, condition.operator, condition.args, condition.negated);
+  });
+  
+  return overrides;
+}
+
+/**
+ * Parse "[NOT] COLUMN_ID operator arg1, arg2". Arguments of integer and
+ * number operators are converted to numbers.
+ */
+function parseFilterCondition(text) {
+  const match = text.match(/^(NOT\s+)?(\S+)\s+(\S+)(?:\s+(.*))?$/i);
+  
+  if (!match) {
+    throw new Error(`Invalid filter condition "${text}". Use: [NOT] COLUMN_ID operator arg1, arg2`);
+  }
+  
+  const operator = match[3].toLowerCase();
+  const numeric = operator.indexOf('integer') === 0 || operator.indexOf('number') === 0;
+  const args = splitFilterList(match[4]).map(function(arg) {
+    if (numeric && isNaN(Number(arg))) {
+      throw new Error(`Argument "${arg}" of ${operator} in "${text}" is not a number`);
+    }
+    return numeric ? Number(arg) : arg;
+  });
+  
+  return {
+    negated: !!match[1],
+    columnId: match[2].toUpperCase(),
+    operator: operator,
+    args: args
+  };
+}
+
+function splitFilterList(value) {
+  return String(isEmptyFilterValue(value) ? '' : value).split(',').map(function(item) {
+    return item.trim();
+  }).filter(function(item) {
+    return item !== '';
+  });
+}
+
+function isEmptyFilterValue(value) {
+  return value === null || value === undefined || String(value).trim() === '';
+}
+
+/**
+ * Dates come from sheet cells (Date) or the dialog (yyyy-MM-dd)
+ */
+function formatFilterDate(value) {
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  }
+  
+  const text = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    throw new Error(`Run date "${text}" must be in yyyy-MM-dd format`);
+  }
+  
+  return text;
+}
+
+function describeCondition(condition) {
+  return `${condition.negated ? 'NOT ' : ''}${condition.filteredColumn.columnId} ${condition.operator} ${condition.args.join(',')}`;
+}
@@ -0,0 +1,371 @@
+/**
+ * Incremental imports for Grid Importer
+ * Instead of a new timestamped sheet per run, an incremental import appends
+ * only unseen rows to a stable target sheet. What has been seen is tracked by a
+ * watermark saved after each run:
+ *   - column mode: the max value of WATERMARK_COLUMN (a date or increasing ID);
+ *     the next run keeps rows with a greater value, so rows that share the
+ *     last max value and only arrive later are skipped. The column must grow
+ *     between runs: a unique ID, or a run ID or timestamp, not a run date.
+ *   - hash mode (no watermark column): a hash of every row the report returned,
+ *     kept in the hidden GridImporter_RowHashes sheet; the next run keeps unseen
+ *     rows. Each run marks the hashes it sees, and a completed run drops the
+ *     rest of its key's hashes, so the sheet holds one report's worth per key
+ * Optionally a condition on RUN_DATE_FILTER_COLUMN (>= the last run's date) is
+ * added to the report's queryDefinition so the API only returns recent rows.
+ */
+
+const GRID_WATERMARK_PREFIX = 'GRID_IMPORT_WATERMARK_';
+const GRID_HASH_SHEET_NAME = 'GridImporter_RowHashes';
+const INCREMENTAL_DATE_OPERATOR = 'date_gte';
+
+// Row hashes of the running import (hash -> the run that last saw it), loaded
+// once per execution, plus the hashes of buffered rows that are saved when
+// those rows are written
+let incrementalRowHashes = null;
+
+function getWatermarkKey(reportId, targetSheet) {
+  return reportId + ':' + targetSheet;
+}
+
+/**
+ * Watermark saved by the last completed incremental run (null if none)
+ */
+function loadWatermark(key) {
+  const json = PropertiesService.getDocumentProperties().getProperty(GRID_WATERMARK_PREFIX + key);
+  return json ? JSON.parse(json) : null;
+}
+
+function saveWatermark(key, watermark) {
+  PropertiesService.getDocumentProperties().setProperty(GRID_WATERMARK_PREFIX + key, JSON.stringify(watermark));
+}
+
+/**
+ * Forget the watermark (and row hashes) so the next incremental run imports everything again
+ */
+function resetWatermark(reportId, targetSheet) {
+  const key = getWatermarkKey(reportId, targetSheet);
+  incrementalRowHashes = null;
+  
+  // Hashes first: if this times out, the watermark is still there to reset again
+  const hashSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GRID_HASH_SHEET_NAME);
+  const rows = readIncrementalRowHashes();
+  const kept = rows.filter(function(row) {
+    return row[0] !== key;
+  });
+  
+  if (kept.length < rows.length) {
+    hashSheet.clearContents();
+    if (kept.length > 0) {
+      hashSheet.getRange(1, 1, kept.length, 3).setValues(kept);
+    }
+  }
+  
+  PropertiesService.getDocumentProperties().deleteProperty(GRID_WATERMARK_PREFIX + key);
+  
+  log('INFO', 'watermark_reset', `Watermark reset for report ${reportId} (${targetSheet})`);
+}
+
+/**
+ * Set up `state` for an incremental run: target the stable sheet (or the last
+ * part an earlier run rolled over to) and carry over the previous watermark
+ */
+function prepareIncrementalImport(state, options) {
+  const targetSheet = options.targetSheet || (state.reportName || 'Report_' + state.reportId).substring(0, 50);
+  const key = getWatermarkKey(state.reportId, targetSheet);
+  const watermark = loadWatermark(key);
+  
+  state.mode = 'incremental';
+  const hashSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GRID_HASH_SHEET_NAME);
+  incrementalRowHashes = null;
+  
+  state.incremental = {
+    key: key,
+    hashRowsBefore: hashSheet ? hashSheet.getLastRow() : 0,
+    watermarkColumn: options.watermarkColumn || null,
+    previousValue: watermark ? watermark.value : null,
+    maxValue: watermark ? watermark.value : null,
+    partCount: watermark && watermark.partCount ? watermark.partCount : 1
+  };
+  
+  if (watermark && options.runDateFilterColumn) {
+    addRunDateFilter(state.queryDefinition, options.runDateFilterColumn, watermark.lastRunDate);
+  }
+  
+  if (isFileExport(state)) {
+    return;
+  }
+  
+  const lastPart = watermark && watermark.lastPart ? watermark.lastPart : { spreadsheetId: null, sheetName: targetSheet };
+  let spreadsheetId = lastPart.spreadsheetId;
+  let ss = spreadsheetId ? SpreadsheetApp.openById(spreadsheetId) : SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(lastPart.sheetName);
+  
+  if (!sheet) {
+    // The part an earlier run ended in is gone - start over in the target sheet
+    spreadsheetId = null;
+    ss = SpreadsheetApp.getActiveSpreadsheet();
+    sheet = ss.getSheetByName(targetSheet) || ss.insertSheet(targetSheet);
+    state.incremental.partCount = 1;
+  }
+  
+  state.sheetName = sheet.getName();
+  state.baseSheetName = targetSheet;
+  state.spreadsheetId = spreadsheetId;
+  state.partOffset = state.incremental.partCount - 1;
+  state.nextRow = Math.max(2, sheet.getLastRow() + 1);
+  state.appendStartRow = state.nextRow;
+  state.parts.push({
+    spreadsheetId: state.spreadsheetId,
+    sheetName: state.sheetName,
+    url: state.spreadsheetId ? ss.getUrl() : ss.getUrl() + '#gid=' + sheet.getSheetId(),
+    rows: 0
+  });
+  
+  log('INFO', 'incremental_import', `Appending new rows to ${state.sheetName} from row ${state.nextRow}` +
+    (watermark ? ` (watermark: ${state.incremental.watermarkColumn ? state.incremental.watermarkColumn + ' > ' + watermark.value : 'row hashes'})` : ' (first run)'));
+}
+
+/**
+ * Add "column >= last run date" to the query, unless the existing conditions
+ * are OR-ed together (an extra condition would widen the results instead)
+ */
+function addRunDateFilter(queryDefinition, columnId, lastRunDate) {
+  if (!lastRunDate) {
+    return;
+  }
+  
+  queryDefinition.filters = queryDefinition.filters || { conditions: [], conditionMatchMode: 'all' };
+  
+  if (queryDefinition.filters.conditionMatchMode === 'any' && queryDefinition.filters.conditions.length > 0) {
+    log('WARN', 'run_date_filter_skipped', `Report filters match "any" condition, so the ${columnId} filter was not added`);
+    return;
+  }
+  
+  queryDefinition.filters.conditions = queryDefinition.filters.conditions || [];
+  queryDefinition.filters.conditions.push({
+    negated: false,
+    operator: INCREMENTAL_DATE_OPERATOR,
+    filteredColumn: {
+      columnId: columnId
+    },
+    args: [lastRunDate]
+  });
+  
+  log('INFO', 'run_date_filter_added', `Filtering ${columnId} >= ${lastRunDate}`);
+}
+
+/**
+ * Drop rows the target already has
+ */
+function filterIncrementalRows(state, rows) {
+  const incremental = state.incremental;
+  
+  if (incremental.watermarkColumn) {
+    const columnIndex = state.columnHeaders.indexOf(incremental.watermarkColumn);
+    if (columnIndex === -1) {
+      throw new Error(`Watermark column ${incremental.watermarkColumn} is not in the report. Columns: ${state.columnHeaders.join(', ')}`);
+    }
+    
+    const kept = rows.filter(function(row) {
+      return incremental.previousValue === null || compareWatermarkValues(row[columnIndex], incremental.previousValue) > 0;
+    });
+    
+    kept.forEach(function(row) {
+      const value = row[columnIndex];
+      if (value !== null && value !== '' && (incremental.maxValue === null || compareWatermarkValues(value, incremental.maxValue) > 0)) {
+        incremental.maxValue = value;
+      }
+    });
+    
+    return kept;
+  }
+  
+  const seen = getIncrementalRowHashes(incremental.key, state.startedAt);
+  
+  return rows.filter(function(row) {
+    const hash = hashRow(row);
+    const lastSeen = seen[hash];
+    if (lastSeen === state.startedAt) {
+      return false;
+    }
+    
+    // A row an earlier run imported is skipped, but marked as seen by this
+    // run so its hash survives the pruning at the end of the run
+    seen[hash] = state.startedAt;
+    incrementalRowHashes.pending.push(hash);
+    return !lastSeen;
+  });
+}
+
+/**
+ * Compare watermark values as numbers, then as dates, then as strings
+ */
+function compareWatermarkValues(a, b) {
+  if (a !== '' && b !== '' && !isNaN(Number(a)) && !isNaN(Number(b))) {
+    return Number(a) - Number(b);
+  }
+  
+  const timeA = new Date(a).getTime();
+  const timeB = new Date(b).getTime();
+  if (!isNaN(timeA) && !isNaN(timeB)) {
+    return timeA - timeB;
+  }
+  
+  return String(a) < String(b) ? -1 : (String(a) > String(b) ? 1 : 0);
+}
+
+function hashRow(row) {
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, JSON.stringify(row), Utilities.Charset.UTF_8);
+  return Utilities.base64Encode(digest);
+}
+
+function getIncrementalRowHashes(key, run) {
+  if (incrementalRowHashes && incrementalRowHashes.key === key && incrementalRowHashes.run === run) {
+    return incrementalRowHashes.hashes;
+  }
+  
+  const hashes = {};
+  readIncrementalRowHashes().forEach(function(row) {
+    // Rows saved before runs were recorded have no run
+    if (row[0] === key && hashes[row[1]] !== run) {
+      hashes[row[1]] = row[2] === '' ? -1 : row[2];
+    }
+  });
+  
+  incrementalRowHashes = { key: key, run: run, hashes: hashes, pending: [] };
+  return hashes;
+}
+
+/**
+ * Rows of the hash sheet: [key, hash, run]
+ */
+function readIncrementalRowHashes() {
+  const hashSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GRID_HASH_SHEET_NAME);
+  
+  if (!hashSheet || hashSheet.getLastRow() === 0) {
+    return [];
+  }
+  
+  return hashSheet.getRange(1, 1, hashSheet.getLastRow(), 3).getValues();
+}
+
+/**
+ * Persist the hashes of the rows that were just written
+ */
+function saveIncrementalRowHashes() {
+  if (!incrementalRowHashes || incrementalRowHashes.pending.length === 0) {
+    return;
+  }
+  
+  const key = incrementalRowHashes.key;
+  const run = incrementalRowHashes.run;
+  const hashes = incrementalRowHashes.pending;
+  incrementalRowHashes.pending = [];
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let hashSheet = ss.getSheetByName(GRID_HASH_SHEET_NAME);
+  
+  if (!hashSheet) {
+    hashSheet = ss.insertSheet(GRID_HASH_SHEET_NAME);
+    hashSheet.hideSheet();
+  }
+  
+  const rows = hashes.map(function(hash) {
+    return [key, hash, run];
+  });
+  hashSheet.getRange(hashSheet.getLastRow() + 1, 1, rows.length, 3).setValues(rows);
+}
+
+/**
+ * Keep only the hashes a completed run saw for its key. Rows that left the
+ * report are forgotten, so one that comes back is imported again.
+ */
+function pruneIncrementalRowHashes(key, run) {
+  const hashSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GRID_HASH_SHEET_NAME);
+  const rows = readIncrementalRowHashes();
+  const kept = rows.filter(function(row) {
+    return row[0] !== key || row[2] === run;
+  });
+  
+  if (kept.length === rows.length) {
+    return;
+  }
+  
+  hashSheet.clearContents();
+  if (kept.length > 0) {
+    hashSheet.getRange(1, 1, kept.length, 3).setValues(kept);
+  }
+  incrementalRowHashes = null;
+  
+  log('INFO', 'row_hashes_pruned', `Dropped ${rows.length - kept.length} row hashes the report no longer returns`);
+}
+
+/**
+ * Record the watermark of a completed incremental run
+ */
+function completeIncrementalImport(state) {
+  if (!state.incremental.watermarkColumn) {
+    pruneIncrementalRowHashes(state.incremental.key, state.startedAt);
+  }
+  
+  const lastPart = state.parts.length > 0 ? state.parts[state.parts.length - 1] : null;
+  
+  saveWatermark(state.incremental.key, {
+    value: state.incremental.maxValue,
+    watermarkColumn: state.incremental.watermarkColumn,
+    lastRunDate: Utilities.formatDate(new Date(state.startedAt), Session.getScriptTimeZone(), 'yyyy-MM-dd'),
+    lastPart: lastPart ? { spreadsheetId: lastPart.spreadsheetId, sheetName: lastPart.sheetName } : null,
+    partCount: (state.partOffset || 0) + state.parts.length,
+    rowsAppended: state.rowsWritten
+  });
+  
+  log('INFO', 'watermark_saved', `Incremental import appended ${state.rowsWritten} new rows` +
+    (state.incremental.watermarkColumn ? `; watermark ${state.incremental.watermarkColumn} = ${state.incremental.maxValue}` : ''));
+}
+
+/**
+ * Undo an unfinished incremental run: remove the rows (and row hashes) it
+ * appended and any part sheets it created, keeping the target's earlier data
+ */
+function abortIncrementalImport(state) {
+  const hashSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(GRID_HASH_SHEET_NAME);
+  if (hashSheet && hashSheet.getLastRow() > state.incremental.hashRowsBefore) {
+    hashSheet.deleteRows(state.incremental.hashRowsBefore + 1, hashSheet.getLastRow() - state.incremental.hashRowsBefore);
+  }
+  
+  if (isFileExport(state)) {
+    deleteExportFiles(state);
+    return;
+  }
+  
+  deleteAppendedRows(state);
+}
+
+/**
+ * Menu entry: reset the watermark of the configured report so its next
+ * incremental run imports everything again
+ */
+function gridImporter_resetWatermark() {
+  const ui = SpreadsheetApp.getUi();
+  const reportId = getConfigValue('SAVED_REPORT_ID');
+  
+  if (!reportId) {
+    ui.alert('Set SAVED_REPORT_ID in the GridImporter_Config sheet first.');
+    return;
+  }
+  
+  const targetSheet = getConfigValue('TARGET_SHEET') ||
+    (getQueryDefinition(getConfigValue('OP_API_KEY'), reportId).name || 'Report_' + reportId).substring(0, 50);
+  
+  const response = ui.alert(
+    'Reset Incremental Watermark',
+    `The next incremental import of report ${reportId} will append all of its rows to ${targetSheet} again. Continue?`,
+    ui.ButtonSet.YES_NO
+  );
+  
+  if (response === ui.Button.YES) {
+    resetWatermark(reportId, targetSheet);
+    ui.alert('Watermark reset.');
+  }
+}
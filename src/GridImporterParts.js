@@ -0,0 +1,313 @@
+/**
+ * Cell-limit-aware output for Grid Importer
+ * Google Sheets caps a spreadsheet at 10M cells across all of its sheets, so
+ * the import budgets rows per sheet from the column count. When a sheet is
+ * full the import rolls over to <sheet>_part2, <sheet>_part3, ... and, once
+ * the spreadsheet itself is full, into new overflow spreadsheets. Imports
+ * that span more than one sheet are listed in the GridImporter_Index sheet.
+ * Replace and append imports write into a stable target sheet (and its parts)
+ * instead of a new one.
+ */
+
+const GRID_INDEX_SHEET_NAME = 'GridImporter_Index';
+
+const MAX_SPREADSHEET_CELLS = 10000000;
+
+// Cells left free in every spreadsheet for the log, config and index sheets
+const SPREADSHEET_CELL_HEADROOM = 200000;
+
+/**
+ * Open the sheet the import is currently writing to
+ */
+function getImportPartSheet(state) {
+  const ss = state.spreadsheetId ? SpreadsheetApp.openById(state.spreadsheetId) : SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = ss.getSheetByName(state.sheetName);
+  
+  if (!sheet) {
+    throw new Error(`Import target sheet "${state.sheetName}" no longer exists`);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Number of data rows a sheet with `numCols` columns may hold in `ss`,
+ * given the cells already allocated to its other sheets
+ */
+function calculatePartRowLimit(ss, numCols, excludeSheetName) {
+  const cellsInUse = ss.getSheets().reduce(function(total, sheet) {
+    if (sheet.getName() === excludeSheetName) {
+      return total;
+    }
+    return total + sheet.getMaxRows() * sheet.getMaxColumns();
+  }, 0);
+  
+  const availableCells = MAX_SPREADSHEET_CELLS - SPREADSHEET_CELL_HEADROOM - cellsInUse;
+  
+  // One row is taken by the headers
+  return Math.max(0, Math.floor(availableCells / numCols) - 1);
+}
+
+/**
+ * Close the current part and continue the import in a new sheet, in the same
+ * spreadsheet while it has room for at least a page of rows, otherwise in a
+ * new overflow spreadsheet
+ */
+function startNextImportPart(state) {
+  const numCols = state.outputHeaders.length;
+  // Incremental imports may continue after parts written by earlier runs
+  const partNumber = (state.partOffset || 0) + state.parts.length + 1;
+  const sheetName = `${state.baseSheetName}_part${partNumber}`;
+  
+  let ss = state.spreadsheetId ? SpreadsheetApp.openById(state.spreadsheetId) : SpreadsheetApp.getActiveSpreadsheet();
+  let spreadsheetId = state.spreadsheetId;
+  let sheet;
+  
+  if (calculatePartRowLimit(ss, numCols, null) >= ROWS_PER_PAGE) {
+    sheet = ss.insertSheet(sheetName);
+  } else {
+    const overflowNumber = state.parts.filter(function(part) { return part.spreadsheetId; }).length + 1;
+    ss = SpreadsheetApp.create(`${state.baseSheetName} (overflow ${overflowNumber})`);
+    spreadsheetId = ss.getId();
+    sheet = ss.getSheets()[0].setName(sheetName);
+    log('INFO', 'overflow_spreadsheet_created', `Spreadsheet is full, continuing import in new spreadsheet: ${ss.getUrl()}`);
+  }
+  
+  state.parts.push({
+    spreadsheetId: spreadsheetId,
+    sheetName: sheetName,
+    url: spreadsheetId ? ss.getUrl() : ss.getUrl() + '#gid=' + sheet.getSheetId(),
+    rows: 0
+  });
+  state.spreadsheetId = spreadsheetId;
+  state.sheetName = sheetName;
+  state.nextRow = 2;
+  state.partRowLimit = calculatePartRowLimit(ss, numCols, sheetName);
+  
+  log('INFO', 'import_part_started', `Cell budget reached, continuing import in ${sheetName} (up to ${state.partRowLimit} rows)`);
+  updateImportIndex(state);
+}
+
+/**
+ * Write rows to the import's current part, rolling over to new parts as
+ * each one reaches its cell budget
+ */
+function writeImportRows(state, rows) {
+  let remaining = rows;
+  
+  while (remaining.length > 0) {
+    const sheet = getImportPartSheet(state);
+    
+    if (state.partRowLimit === null) {
+      state.partRowLimit = calculatePartRowLimit(sheet.getParent(), state.outputHeaders.length, state.sheetName);
+    }
+    
+    const capacity = state.partRowLimit - (state.nextRow - 2);
+    if (capacity <= 0) {
+      startNextImportPart(state);
+      continue;
+    }
+    
+    const chunk = remaining.slice(0, capacity);
+    const startRow = state.nextRow;
+    state.nextRow = writeToSheet(sheet, state.outputHeaders, chunk, startRow === 2, startRow);
+    applyColumnFormats(sheet, state, startRow, chunk.length);
+    state.parts[state.parts.length - 1].rows += chunk.length;
+    state.rowsWritten += chunk.length;
+    remaining = remaining.slice(capacity);
+  }
+}
+
+/**
+ * List the parts of a multi-part import in the index sheet (one row per part)
+ */
+function updateImportIndex(state) {
+  if (state.parts.length < 2) {
+    return;
+  }
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let indexSheet = ss.getSheetByName(GRID_INDEX_SHEET_NAME);
+  
+  if (!indexSheet) {
+    indexSheet = ss.insertSheet(GRID_INDEX_SHEET_NAME);
+    indexSheet.getRange(1, 1, 1, 6).setValues([['Job ID', 'Report', 'Part', 'Sheet', 'Rows', 'Link']]);
+    indexSheet.getRange(1, 1, 1, 6)
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('#ffffff');
+    indexSheet.setFrozenRows(1);
+  }
+  
+  removeImportIndexRows(indexSheet, state.jobId);
+  
+  const rows = state.parts.map(function(part, i) {
+    return [
+      state.jobId,
+      state.reportName || state.reportId,
+      i + 1,
+      part.sheetName,
+      part.rows,
+      `=HYPERLINK("${part.url}", "${part.spreadsheetId ? 'Open overflow spreadsheet' : 'Open sheet'}")`
+    ];
+  });
+  
+  indexSheet.getRange(indexSheet.getLastRow() + 1, 1, rows.length, 6).setValues(rows);
+}
+
+/**
+ * Parts listed in the index sheet: { row, jobId, sheetName, spreadsheetId },
+ * where the ID of an overflow spreadsheet is read from its link
+ */
+function readImportIndex(indexSheet) {
+  const lastRow = indexSheet.getLastRow();
+  if (lastRow < 2) {
+    return [];
+  }
+  
+  const values = indexSheet.getRange(2, 1, lastRow - 1, 6).getValues();
+  const formulas = indexSheet.getRange(2, 6, lastRow - 1, 1).getFormulas();
+  
+  return values.map(function(row, i) {
+    const link = formulas[i][0].indexOf('Open overflow spreadsheet') !== -1 ? formulas[i][0].match(/\/spreadsheets\/d\/([\w-]+)/) : null;
+    return {
+      row: i + 2,
+      jobId: row[0],
+      sheetName: String(row[3]),
+      spreadsheetId: link ? link[1] : null
+    };
+  });
+}
+
+function removeImportIndexRows(indexSheet, jobId) {
+  const lastRow = indexSheet.getLastRow();
+  if (lastRow < 2) {
+    return;
+  }
+  
+  const jobIds = indexSheet.getRange(2, 1, lastRow - 1, 1).getValues();
+  
+  // Delete bottom-up so earlier row numbers stay valid
+  for (let i = jobIds.length - 1; i >= 0; i--) {
+    if (jobIds[i][0] === jobId) {
+      indexSheet.deleteRows(i + 2, 1);
+    }
+  }
+}
+
+/**
+ * Delete every sheet and overflow spreadsheet written by an import
+ */
+function deleteImportParts(state) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const trashed = {};
+  
+  state.parts.forEach(function(part) {
+    if (part.spreadsheetId) {
+      if (!trashed[part.spreadsheetId]) {
+        DriveApp.getFileById(part.spreadsheetId).setTrashed(true);
+        trashed[part.spreadsheetId] = true;
+      }
+      return;
+    }
+    
+    const sheet = ss.getSheetByName(part.sheetName);
+    if (sheet) {
+      ss.deleteSheet(sheet);
+    }
+  });
+  
+  const indexSheet = ss.getSheetByName(GRID_INDEX_SHEET_NAME);
+  if (indexSheet) {
+    removeImportIndexRows(indexSheet, state.jobId);
+  }
+}
+
+/**
+ * The <sheetName>_partN sheets in `ss`, ordered by part number
+ */
+function getPartSheets(ss, sheetName) {
+  const prefix = sheetName + '_part';
+  
+  return ss.getSheets().filter(function(sheet) {
+    const name = sheet.getName();
+    return name.indexOf(prefix) === 0 && /^\d+$/.test(name.substring(prefix.length));
+  }).sort(function(a, b) {
+    return Number(a.getName().substring(prefix.length)) - Number(b.getName().substring(prefix.length));
+  });
+}
+
+/**
+ * Set up `state` to write into a stable target sheet instead of a new snapshot:
+ * 'replace' clears the sheet (and the part sheets an earlier run rolled over to),
+ * 'append' continues after the existing rows of its last part
+ */
+function prepareTargetSheetImport(state, targetSheet) {
+  targetSheet = targetSheet || (state.reportName || 'Report_' + state.reportId).substring(0, 50);
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const partSheets = getPartSheets(ss, targetSheet);
+  
+  let sheet = ss.getSheetByName(targetSheet) || ss.insertSheet(targetSheet);
+  state.partOffset = 0;
+  
+  if (state.mode === 'replace') {
+    sheet.clear();
+    partSheets.forEach(function(partSheet) {
+      ss.deleteSheet(partSheet);
+    });
+  } else if (partSheets.length > 0) {
+    sheet = partSheets[partSheets.length - 1];
+    state.partOffset = Number(sheet.getName().substring((targetSheet + '_part').length)) - 1;
+  }
+  
+  state.sheetName = sheet.getName();
+  state.baseSheetName = targetSheet;
+  state.nextRow = Math.max(2, sheet.getLastRow() + 1);
+  state.appendStartRow = state.nextRow;
+  state.parts.push({ spreadsheetId: null, sheetName: state.sheetName, url: ss.getUrl() + '#gid=' + sheet.getSheetId(), rows: 0 });
+  
+  log('INFO', 'target_sheet_import', `${state.mode === 'replace' ? 'Replacing' : 'Appending to'} ${state.sheetName} from row ${state.nextRow}`);
+}
+
+/**
+ * An existing target sheet must keep the columns it was created with
+ */
+function checkAppendTargetHeaders(state) {
+  if (isFileExport(state) || state.nextRow <= 2) {
+    return;
+  }
+  
+  const sheet = getImportPartSheet(state);
+  const existing = sheet.getRange(1, 1, 1, sheet.getLastColumn()).getValues()[0];
+  
+  if (existing.join('\u0000') !== state.outputHeaders.join('\u0000')) {
+    throw new Error(`Columns of ${state.sheetName} (${existing.join(', ')}) do not match the report (${state.outputHeaders.join(', ')}). ` +
+      `Use a different target sheet${state.mode === 'incremental' ? ' or reset the watermark' : ''}.`);
+  }
+}
+
+/**
+ * Undo an unfinished import into an existing sheet: remove the rows it wrote
+ * from `state.appendStartRow` and any part sheets it created, keeping the
+ * sheet's earlier data
+ */
+function deleteAppendedRows(state) {
+  const firstPart = state.parts[0];
+  
+  if (firstPart.rows > 0) {
+    const ss = firstPart.spreadsheetId ? SpreadsheetApp.openById(firstPart.spreadsheetId) : SpreadsheetApp.getActiveSpreadsheet();
+    const sheet = ss.getSheetByName(firstPart.sheetName);
+    if (sheet && state.appendStartRow + firstPart.rows - 1 >= sheet.getMaxRows()) {
+      // Rows that run to the end of the sheet are cleared instead: deleting
+      // them may leave no non-frozen rows, which Sheets refuses
+      const range = sheet.getRange(state.appendStartRow, 1, firstPart.rows, sheet.getMaxColumns());
+      range.clear();
+      range.clearDataValidations();
+    } else if (sheet) {
+      sheet.deleteRows(state.appendStartRow, firstPart.rows);
+    }
+  }
+  
+  deleteImportParts({ jobId: state.jobId, parts: state.parts.slice(1) });
+}
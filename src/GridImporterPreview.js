@@ -0,0 +1,91 @@
+/**
+ * Import preview for Grid Importer
+ * Fetches the first rows of a saved report (with the dialog's filter
+ * overrides and column options applied) and estimates the size of the full
+ * import: rows, pages, cells against the sheet limits and run time.
+ */
+
+const PREVIEW_ROWS = 50;
+
+// Rough throughput of a full import, used for the run time estimate
+const ESTIMATED_SECONDS_PER_PAGE = 3;
+const ESTIMATED_CELLS_PER_SECOND = 50000;
+
+/**
+ * Preview a saved report import (called by the Grid Importer dialog's Preview button)
+ */
+function previewGridImport(apiKey, reportId, filters, columns) {
+  if (!apiKey || !reportId) {
+    throw new Error('API key and Saved Report ID are required for a preview');
+  }
+  
+  const reportData = getQueryDefinition(apiKey, reportId);
+  if (filters) {
+    applyFilterOverrides(reportData.queryDefinition, filters);
+  }
+  
+  const client = new ObservePointClient(apiKey, { columnCatalog: isColumnCatalogEnabled() });
+  const pageData = client.fetchGridData(reportData.gridEntityType, reportData.queryDefinition, 0, PREVIEW_ROWS);
+  const metadata = pageData.metadata || {};
+  const pagination = metadata.pagination || {};
+  const rows = pageData.rows || [];
+  
+  const state = {
+    columnHeaders: metadata.headers ? metadata.headers.map(function(h) { return h.column.columnId; }) : [],
+    columnOptions: columns || null
+  };
+  
+  if (state.columnHeaders.length === 0 && rows.length === 0) {
+    return { reportName: reportData.name, totalCount: 0, headers: [], rows: [] };
+  }
+  
+  prepareOutputColumns(state, metadata);
+  
+  const totalCount = pagination.totalCount !== undefined ? pagination.totalCount : rows.length;
+  const estimate = estimateGridImport(totalCount, state.outputHeaders.length);
+  
+  log('INFO', 'import_preview', `Preview of ${reportData.name || reportId}: ${totalCount} rows, ${state.outputHeaders.length} columns, ~${estimate.cells} cells`);
+  
+  return {
+    reportName: reportData.name,
+    gridEntityType: reportData.gridEntityType,
+    totalCount: totalCount,
+    // Pages of PREVIEW_ROWS, as reported by the API; estimate.pages counts import pages
+    totalPageCount: pagination.totalPageCount !== undefined ? pagination.totalPageCount : null,
+    headers: state.outputHeaders,
+    // Dates do not survive google.script.run, so the preview shows display strings
+    rows: transformImportRows(state, rows).map(function(row) {
+      return row.map(function(value) {
+        return value instanceof Date ? Utilities.formatDate(value, Session.getScriptTimeZone(), 'yyyy-MM-dd HH:mm:ss') : value;
+      });
+    }),
+    estimate: estimate
+  };
+}
+
+/**
+ * Pages, cells, sheets and run time of an import of `totalCount` rows x `numCols` columns
+ */
+function estimateGridImport(totalCount, numCols) {
+  const pages = Math.ceil(totalCount / ROWS_PER_PAGE);
+  const cells = (totalCount + 1) * numCols;
+  // Rows that do not fit here go to overflow spreadsheets, which start empty
+  const rowsInThisSpreadsheet = calculatePartRowLimit(SpreadsheetApp.getActiveSpreadsheet(), numCols, null);
+  const rowsPerSpreadsheet = Math.max(1, Math.floor((MAX_SPREADSHEET_CELLS - SPREADSHEET_CELL_HEADROOM) / numCols) - 1);
+  const overflowRows = Math.max(0, totalCount - rowsInThisSpreadsheet);
+  
+  const seconds = Math.round(pages * ESTIMATED_SECONDS_PER_PAGE + cells / ESTIMATED_CELLS_PER_SECOND);
+  const executions = Math.max(1, Math.ceil(seconds * 1000 / MAX_EXECUTION_MS));
+  
+  return {
+    pages: pages,
+    cells: cells,
+    maxSpreadsheetCells: MAX_SPREADSHEET_CELLS,
+    sheets: (rowsInThisSpreadsheet > 0 ? 1 : 0) + Math.ceil(overflowRows / rowsPerSpreadsheet),
+    fitsInSpreadsheet: totalCount <= rowsInThisSpreadsheet,
+    seconds: seconds,
+    executions: executions,
+    // Paused imports continue about a minute later
+    wallClockSeconds: seconds + (executions - 1) * GRID_CONTINUE_DELAY_MS / 1000
+  };
+}
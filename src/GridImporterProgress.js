@@ -1,23 +1,115 @@
 /**
  * Progress tracking functions for Grid Importer
  * Allows real-time progress updates in the UI dialog
+ * 
+ * Progress lives in CacheService and cancellation requests in document
+ * properties, both keyed by import job ID, so they are visible across the
+ * separate executions of the import and the dialog's google.script.run polls.
  */
 
+const GRID_PROGRESS_CACHE_PREFIX = 'GRID_IMPORT_PROGRESS_';
+const GRID_PROGRESS_TTL_SECONDS = 6 * 60 * 60;
+const GRID_CANCEL_PROPERTY_PREFIX = 'GRID_IMPORT_CANCEL_';
+const GRID_CURRENT_JOB_KEY = 'GRID_IMPORT_CURRENT_JOB';
+
 /**
- * Update import progress
+ * Update import progress for a job (merged into the last known progress)
  */
-function updateImportProgress(status, details, percent, complete) {
-  IMPORT_PROGRESS = {
-    status: status,
-    details: details,
-    percent: Math.min(100, Math.max(0, percent)),
-    complete: complete
-  };
+function updateImportProgress(jobId, progress) {
+  if (!jobId) {
+    return;
+  }
+  
+  const cache = CacheService.getDocumentCache();
+  const key = GRID_PROGRESS_CACHE_PREFIX + jobId;
+  const current = JSON.parse(cache.get(key) || '{}');
+  
+  Object.keys(progress).forEach(function(field) {
+    current[field] = progress[field];
+  });
+  
+  current.jobId = jobId;
+  current.percent = Math.min(100, Math.max(0, current.percent || 0));
+  current.updatedAt = new Date().getTime();
+  
+  cache.put(key, JSON.stringify(current), GRID_PROGRESS_TTL_SECONDS);
 }
 
 /**
  * Get current import progress (called by dialog polling)
+ * Falls back to the most recently started job when no job ID is given
+ */
+function getImportProgress(jobId) {
+  jobId = jobId || PropertiesService.getDocumentProperties().getProperty(GRID_CURRENT_JOB_KEY);
+  
+  if (!jobId) {
+    return null;
+  }
+  
+  const json = CacheService.getDocumentCache().get(GRID_PROGRESS_CACHE_PREFIX + jobId);
+  return json ? JSON.parse(json) : null;
+}
+
+function setCurrentImportJob(jobId) {
+  PropertiesService.getDocumentProperties().setProperty(GRID_CURRENT_JOB_KEY, jobId);
+}
+
+/**
+ * Ask a running import to stop after the page it is fetching (called by the dialog's Cancel button)
+ */
+function cancelGridImport(jobId) {
+  jobId = jobId || PropertiesService.getDocumentProperties().getProperty(GRID_CURRENT_JOB_KEY);
+  
+  if (!jobId) {
+    return false;
+  }
+  
+  PropertiesService.getDocumentProperties().setProperty(GRID_CANCEL_PROPERTY_PREFIX + jobId, 'true');
+  updateImportProgress(jobId, {
+    phase: 'cancelling',
+    status: 'Cancelling...',
+    details: 'The import will stop after the current page'
+  });
+  log('INFO', 'import_cancel_requested', `Cancellation requested for import job ${jobId}`);
+  
+  return true;
+}
+
+function isImportCancelRequested(jobId) {
+  return !!jobId && PropertiesService.getDocumentProperties().getProperty(GRID_CANCEL_PROPERTY_PREFIX + jobId) === 'true';
+}
+
+function clearImportCancel(jobId) {
+  if (jobId) {
+    PropertiesService.getDocumentProperties().deleteProperty(GRID_CANCEL_PROPERTY_PREFIX + jobId);
+  }
+}
+
+/**
+ * Publish fetch progress for the import in `state`, with an ETA based on
+ * the pages fetched since this execution started
  */
-function getImportProgress() {
-  return IMPORT_PROGRESS;
+function reportFetchProgress(state, pagesFetched, runStart, runStartPage) {
+  const totalPages = state.maxPages && state.totalPages ? Math.min(state.maxPages, state.totalPages) : (state.totalPages || state.maxPages);
+  const pagesThisRun = pagesFetched - runStartPage;
+  
+  let etaSeconds = null;
+  if (totalPages && pagesThisRun > 0) {
+    const secondsPerPage = (new Date() - runStart) / 1000 / pagesThisRun;
+    etaSeconds = Math.round(secondsPerPage * Math.max(0, totalPages - pagesFetched));
+  }
+  
+  updateImportProgress(state.jobId, {
+    phase: 'fetching',
+    status: totalPages ? `Fetched page ${pagesFetched} of ${totalPages}` : `Fetched ${pagesFetched} pages`,
+    details: `${state.totalRows.toLocaleString()} rows fetched, ${state.rowsWritten.toLocaleString()} written to ${state.sheetName}`,
+    pagesFetched: pagesFetched,
+    totalPages: totalPages || null,
+    rowsFetched: state.totalRows,
+    rowsWritten: state.rowsWritten,
+    etaSeconds: etaSeconds,
+    percent: totalPages ? Math.round(pagesFetched / totalPages * 100) : 0,
+    sheetName: state.sheetName,
+    complete: false
+  });
 }
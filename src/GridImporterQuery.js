@@ -0,0 +1,200 @@
+/**
+ * Ad-hoc Grid queries for Grid Importer
+ * Runs a pasted `queryDefinition` JSON for a grid entity type without a saved
+ * report. The query is checked against the API (one row is fetched), then
+ * imported through the same paging and sheet-writing path as saved reports,
+ * and can be saved back as a new saved report. The last query is kept in
+ * document properties so the editor opens where it was left.
+ */
+
+const GRID_QUERY_STATE_KEY = 'GRID_ADHOC_QUERY';
+
+// Offered in the editor; any entity type the Grid API knows is accepted
+const GRID_ENTITY_TYPES = ['links', 'pages', 'tags', 'cookies', 'request_logs', 'console_logs'];
+
+/**
+ * Menu entry: open the query editor
+ */
+function gridImporter_runQuery() {
+  showGridQueryDialog();
+}
+
+/**
+ * API key from the config sheet and the last query (called by the editor)
+ */
+function getGridQueryConfig() {
+  let apiKey = '';
+  try {
+    apiKey = getConfigValue('OP_API_KEY') || '';
+  } catch (e) {
+    // No config sheet yet
+  }
+  
+  const json = PropertiesService.getDocumentProperties().getProperty(GRID_QUERY_STATE_KEY);
+  const query = json ? JSON.parse(json) : {};
+  
+  return {
+    apiKey: apiKey,
+    name: query.name || '',
+    gridEntityType: query.gridEntityType || 'links',
+    queryText: query.queryDefinition ? JSON.stringify(query.queryDefinition, null, 2) : ''
+  };
+}
+
+function saveGridQuery(name, query) {
+  PropertiesService.getDocumentProperties().setProperty(GRID_QUERY_STATE_KEY, JSON.stringify({
+    name: name,
+    gridEntityType: query.gridEntityType,
+    queryDefinition: query.queryDefinition
+  }));
+}
+
+/**
+ * Parse the editor's JSON: a queryDefinition, or a whole saved report
+ * ({ gridEntityType, queryDefinition }) as returned by the API.
+ * `page`/`size` are dropped, the import sets them per page.
+ */
+function parseGridQuery(gridEntityType, queryText) {
+  let parsed;
+  try {
+    parsed = JSON.parse(queryText);
+  } catch (e) {
+    throw new Error(`Query definition is not valid JSON: ${e.message}`);
+  }
+  
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('Query definition must be a JSON object');
+  }
+  
+  const entityType = String(gridEntityType || parsed.gridEntityType || '').trim().toLowerCase();
+  const queryDefinition = parsed.queryDefinition || parsed;
+  
+  if (!/^[a-z_]+$/.test(entityType)) {
+    throw new Error(`Grid entity type "${entityType}" is not valid. For example: ${GRID_ENTITY_TYPES.join(', ')}`);
+  }
+  
+  if (!Array.isArray(queryDefinition.columns) || queryDefinition.columns.length === 0) {
+    throw new Error('Query definition needs a "columns" list, e.g. [{ "columnId": "LINK_URL" }]');
+  }
+  
+  queryDefinition.columns.forEach(function(column, i) {
+    if (!column || !column.columnId) {
+      throw new Error(`Column ${i + 1} of the query definition has no columnId`);
+    }
+  });
+  
+  if (queryDefinition.filters && !Array.isArray(queryDefinition.filters.conditions)) {
+    throw new Error('"filters" must have a "conditions" list');
+  }
+  
+  delete queryDefinition.page;
+  delete queryDefinition.size;
+  
+  return { gridEntityType: entityType, queryDefinition: queryDefinition };
+}
+
+/**
+ * Check a query against the API by fetching its first row (called by the editor).
+ * Returns the row count and columns the query returns.
+ */
+function validateGridQuery(apiKey, gridEntityType, queryText) {
+  if (!apiKey) {
+    throw new Error('API key is required');
+  }
+  
+  const query = parseGridQuery(gridEntityType, queryText);
+  const client = new ObservePointClient(apiKey, { validateQueries: true, columnCatalog: isColumnCatalogEnabled() });
+  let pageData;
+  
+  // Problems found in the column catalog are reported as they are
+  client.assertValidQuery(query.gridEntityType, query.queryDefinition);
+  
+  try {
+    pageData = client.fetchGridData(query.gridEntityType, query.queryDefinition, 0, 1);
+  } catch (error) {
+    throw new Error(`The API rejected the query: ${error.message}`);
+  }
+  
+  const metadata = pageData.metadata || {};
+  const pagination = metadata.pagination || {};
+  
+  return {
+    gridEntityType: query.gridEntityType,
+    totalCount: pagination.totalCount !== undefined ? pagination.totalCount : (pageData.rows || []).length,
+    columns: (metadata.headers || []).map(function(h) { return h.column.columnId; })
+  };
+}
+
+/**
+ * Columns of a grid entity type for the editor's column picker, sorted by ID
+ */
+function getGridColumnCatalog(apiKey, gridEntityType) {
+  if (!isColumnCatalogEnabled()) {
+    throw new Error('The column catalog is off. Set COLUMN_CATALOG to TRUE in the config sheet to pick columns from it.');
+  }
+  
+  const catalog = new ObservePointClient(apiKey, { columnCatalog: true }).getGridColumns(String(gridEntityType).trim().toLowerCase());
+  
+  if (!catalog) {
+    throw new Error(`The column catalog for "${gridEntityType}" is not available`);
+  }
+  
+  return Object.keys(catalog.columns).sort().map(function(columnId) {
+    const column = catalog.columns[columnId];
+    return { columnId: columnId, label: column.label, type: column.type };
+  });
+}
+
+/**
+ * Load a saved report's query into the editor as a starting point (called by the editor)
+ */
+function loadSavedReportQuery(apiKey, reportId) {
+  const reportData = getQueryDefinition(apiKey, reportId);
+  delete reportData.queryDefinition.page;
+  delete reportData.queryDefinition.size;
+  
+  return {
+    name: reportData.name,
+    gridEntityType: reportData.gridEntityType,
+    queryText: JSON.stringify(reportData.queryDefinition, null, 2)
+  };
+}
+
+/**
+ * Validate and import an ad-hoc query (called by the editor). With
+ * `saveAsReport` the query is first saved as a new saved report, and the
+ * import runs from that report.
+ */
+function runGridQuery(apiKey, gridEntityType, queryText, name, saveAsReport, jobId, exportTarget) {
+  const query = parseGridQuery(gridEntityType, queryText);
+  const reportName = String(name || '').trim() || `Query_${query.gridEntityType}`;
+  
+  saveGridQuery(reportName, query);
+  validateGridQuery(apiKey, query.gridEntityType, JSON.stringify(query.queryDefinition));
+  
+  let savedReportId = null;
+  if (saveAsReport) {
+    const savedReport = new ObservePointClient(apiKey, { columnCatalog: isColumnCatalogEnabled() }).createSavedReport({
+      name: reportName,
+      isFavorite: false,
+      visibility: 'private',
+      queryDefinition: query.queryDefinition,
+      gridEntityType: query.gridEntityType,
+      displayMetadata: {}
+    });
+    savedReportId = savedReport.id;
+    log('INFO', 'query_saved', `Saved query "${reportName}" as saved report ${savedReportId}`);
+  }
+  
+  const result = executeGridImport(apiKey, savedReportId, 50000, null, jobId, {
+    exportTarget: exportTarget,
+    query: {
+      name: reportName,
+      gridEntityType: query.gridEntityType,
+      queryDefinition: query.queryDefinition
+    }
+  });
+  
+  result.savedReportId = savedReportId;
+  return result;
+}
@@ -0,0 +1,202 @@
+/**
+ * Resumable imports for Grid Importer
+ * Persists the import checkpoint between executions so large reports
+ * can be imported across several runs of the 6-minute execution limit
+ */
+
+const GRID_IMPORT_STATE_KEY = 'GRID_IMPORT_STATE';
+const GRID_CONTINUE_HANDLER = 'gridImporter_continueImport';
+const GRID_CONTINUE_DELAY_MS = 60 * 1000;
+
+// A property value holds at most 9 KB, and the checkpoint's parts and files
+// lists grow with the import, so the checkpoint is split across several keys:
+// GRID_IMPORT_STATE, GRID_IMPORT_STATE_1, ... with the key count in
+// GRID_IMPORT_STATE_CHUNKS (absent when everything fits in the first key)
+const GRID_IMPORT_STATE_CHUNKS_KEY = GRID_IMPORT_STATE_KEY + '_CHUNKS';
+const GRID_IMPORT_STATE_CHUNK_LENGTH = 8000;
+
+/**
+ * Load the checkpoint of the import in progress (null if none)
+ */
+function loadImportState() {
+  const props = PropertiesService.getDocumentProperties();
+  const json = props.getProperty(GRID_IMPORT_STATE_KEY);
+  
+  if (!json) {
+    return null;
+  }
+  
+  const chunkCount = parseInt(props.getProperty(GRID_IMPORT_STATE_CHUNKS_KEY)) || 1;
+  let joined = json;
+  for (let i = 1; i < chunkCount; i++) {
+    joined += props.getProperty(`${GRID_IMPORT_STATE_KEY}_${i}`) || '';
+  }
+  
+  return JSON.parse(joined);
+}
+
+function saveImportState(state) {
+  const props = PropertiesService.getDocumentProperties();
+  const previousCount = parseInt(props.getProperty(GRID_IMPORT_STATE_CHUNKS_KEY)) || 1;
+  
+  // Escaping non-ASCII characters keeps every character one byte, so a chunk's
+  // length is also its size
+  const json = JSON.stringify(state).replace(/[\u007f-\uffff]/g, function(c) {
+    return '\\u' + ('0000' + c.charCodeAt(0).toString(16)).slice(-4);
+  });
+  
+  const chunks = {};
+  let chunkCount = 0;
+  for (let start = 0; start < json.length; start += GRID_IMPORT_STATE_CHUNK_LENGTH) {
+    chunks[chunkCount === 0 ? GRID_IMPORT_STATE_KEY : `${GRID_IMPORT_STATE_KEY}_${chunkCount}`] = json.substring(start, start + GRID_IMPORT_STATE_CHUNK_LENGTH);
+    chunkCount++;
+  }
+  chunks[GRID_IMPORT_STATE_CHUNKS_KEY] = String(chunkCount);
+  
+  props.setProperties(chunks);
+  deleteImportStateChunks(props, chunkCount, previousCount);
+}
+
+function clearImportState() {
+  const props = PropertiesService.getDocumentProperties();
+  const chunkCount = parseInt(props.getProperty(GRID_IMPORT_STATE_CHUNKS_KEY)) || 1;
+  
+  props.deleteProperty(GRID_IMPORT_STATE_KEY);
+  props.deleteProperty(GRID_IMPORT_STATE_CHUNKS_KEY);
+  deleteImportStateChunks(props, 1, chunkCount);
+  deleteImportContinuationTriggers();
+}
+
+/**
+ * Delete the chunk keys from index `from` up to (not including) `to`
+ */
+function deleteImportStateChunks(props, from, to) {
+  for (let i = Math.max(from, 1); i < to; i++) {
+    props.deleteProperty(`${GRID_IMPORT_STATE_KEY}_${i}`);
+  }
+}
+
+/**
+ * Schedule a one-off trigger that continues the paused import
+ * (`handler` defaults to gridImporter_continueImport)
+ */
+function scheduleImportContinuation(handler) {
+  handler = handler || GRID_CONTINUE_HANDLER;
+  deleteImportContinuationTriggers(handler);
+  ScriptApp.newTrigger(handler)
+    .timeBased()
+    .after(GRID_CONTINUE_DELAY_MS)
+    .create();
+}
+
+function deleteImportContinuationTriggers(handler) {
+  handler = handler || GRID_CONTINUE_HANDLER;
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getHandlerFunction() === handler) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+}
+
+/**
+ * Trigger handler: continue the paused import from its checkpoint
+ */
+function gridImporter_continueImport() {
+  const lock = LockService.getDocumentLock();
+  
+  if (!lock.tryLock(1000)) {
+    // This trigger has fired, so try again later rather than strand the import
+    // when the lock holder is not the import itself (the webhook worker, say)
+    const state = loadImportState();
+    if (state) {
+      scheduleImportContinuation(state.continueHandler);
+    }
+    log('INFO', 'import_resume_skipped', 'Grid import is already running in another execution');
+    return null;
+  }
+  
+  try {
+    deleteImportContinuationTriggers();
+    
+    const state = loadImportState();
+    if (!state) {
+      log('INFO', 'import_resume_skipped', 'No paused Grid import to continue');
+      return null;
+    }
+    
+    log('INFO', 'import_resume', `Resuming import of ${state.reportName || state.reportId} at page ${state.nextPage + 1} (${state.totalRows} rows so far)`);
+    
+    return runGridImport(getConfigValue('OP_API_KEY'), state);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Abort the import in progress and delete what it has written so far
+ */
+function abortGridImport() {
+  const state = loadImportState();
+  if (!state) {
+    return null;
+  }
+  
+  const deleted = state.appendStartRow ? `the ${state.rowsWritten} rows written to ${describeImportOutput(state)}` : describeImportOutput(state);
+  
+  clearImportState();
+  clearImportCancel(state.jobId);
+  updateImportProgress(state.jobId, { phase: 'cancelled', status: 'Import aborted', details: `Deleted ${deleted}`, complete: true });
+  
+  if (state.mode === 'incremental') {
+    abortIncrementalImport(state);
+  } else if (isFileExport(state)) {
+    deleteExportFiles(state);
+  } else if (state.appendStartRow) {
+    deleteAppendedRows(state);
+  } else {
+    deleteImportParts(state);
+  }
+  
+  log('INFO', 'import_aborted', `Import of ${state.reportName || state.reportId} aborted after ${state.totalRows} rows. Deleted ${deleted}`);
+  return state;
+}
+
+/**
+ * Menu entry: resume or abort the import in progress
+ */
+function gridImporter_resumeOrAbortImport() {
+  const ui = SpreadsheetApp.getUi();
+  const state = loadImportState();
+  
+  if (!state) {
+    ui.alert('No Grid import is in progress.');
+    return;
+  }
+  
+  const response = ui.alert(
+    'Resume / Abort Import',
+    `Import of "${state.reportName || state.reportId}" is at page ${state.nextPage + 1} with ${state.rowsWritten} rows written to ${describeImportOutput(state)}.\n\n` +
+    'Yes: resume the import now\n' +
+    'No: abort the import and delete what it has written so far\n' +
+    'Cancel: leave it as it is',
+    ui.ButtonSet.YES_NO_CANCEL
+  );
+  
+  if (response === ui.Button.YES) {
+    const result = gridImporter_continueImport();
+    if (!result) {
+      ui.alert('The import is already running in another execution.');
+    } else if (!result.success) {
+      ui.alert('Import failed: ' + result.error);
+    } else if (result.complete) {
+      ui.alert(`Import complete: ${result.totalRows} rows in ${result.location}.`);
+    } else if (result.status === 'cancelled') {
+      ui.alert(`Import cancelled. ${result.totalRows} rows kept in ${result.location}.`);
+    } else {
+      ui.alert(`Import paused after ${result.totalRows} rows. It will continue automatically in about a minute.`);
+    }
+  } else if (response === ui.Button.NO) {
+    abortGridImport();
+    ui.alert('Import aborted and its partial output deleted.');
+  }
+}
@@ -0,0 +1,353 @@
+/**
+ * Saved report management for Grid Importer
+ * "Manage Saved Reports" lists every saved grid report in the account in the
+ * GridImporter_SavedReports sheet. Edits made there are applied back to
+ * ObservePoint in bulk by "Apply Saved Report Changes": changed names,
+ * visibility, favorites and column lists update the report, rows without a
+ * Report ID create new reports, and the Action column duplicates or deletes
+ * reports. Each row's outcome is written to its Status cell.
+ */
+
+const SAVED_REPORTS_SHEET_NAME = 'GridImporter_SavedReports';
+
+const SAVED_REPORTS_HEADERS = [
+  'Report ID', 'Name', 'Entity Type', 'Visibility', 'Favorite', 'Columns', 'Action', 'Status'
+];
+
+const SAVED_REPORT_ACTIONS = ['Duplicate', 'Delete'];
+
+// Action and Status columns
+const SAVED_REPORTS_ACTION_COLUMN = 7;
+const SAVED_REPORTS_STATUS_COLUMN = 8;
+
+/**
+ * Menu entry: (re)load the saved reports of the account into the sheet
+ */
+function gridImporter_manageSavedReports() {
+  const ui = SpreadsheetApp.getUi();
+  const existing = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SAVED_REPORTS_SHEET_NAME);
+  
+  if (existing && existing.getLastRow() > 1) {
+    const response = ui.alert(
+      'Reload Saved Reports',
+      `Reload ${SAVED_REPORTS_SHEET_NAME} from ObservePoint? Changes not yet applied with "Apply Saved Report Changes" are discarded.`,
+      ui.ButtonSet.YES_NO
+    );
+    if (response !== ui.Button.YES) {
+      return;
+    }
+  }
+  
+  try {
+    const client = new ObservePointClient(getConfigValue('OP_API_KEY'), { columnCatalog: isColumnCatalogEnabled() });
+    const reports = loadSavedReports(client);
+    const sheet = writeSavedReportsSheet(reports);
+    sheet.activate();
+    
+    log('INFO', 'saved_reports_listed', `Listed ${reports.length} saved reports`);
+    ui.alert(
+      `Listed ${reports.length} saved reports in ${SAVED_REPORTS_SHEET_NAME}.\n\n` +
+      'Edit names, visibility, favorites or columns (comma-separated column IDs), set Action to Duplicate or Delete, ' +
+      'or add rows without a Report ID to create reports. Then run "Apply Saved Report Changes".'
+    );
+  } catch (e) {
+    log('ERROR', 'saved_reports_list_failed', e.toString());
+    ui.alert(`Could not list saved reports: ${ObservePointErrors.describe(e)}`);
+  }
+}
+
+/**
+ * Menu entry: apply the sheet's edits to ObservePoint after confirmation
+ */
+function gridImporter_applySavedReportChanges() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(SAVED_REPORTS_SHEET_NAME);
+  
+  if (!sheet || sheet.getLastRow() < 2) {
+    ui.alert('Run "Manage Saved Reports" first to list the saved reports.');
+    return;
+  }
+  
+  let client;
+  let changes;
+  try {
+    client = new ObservePointClient(getConfigValue('OP_API_KEY'), { columnCatalog: isColumnCatalogEnabled() });
+    const reportsById = {};
+    client.listSavedReports({ fresh: true }).forEach(function(report) {
+      reportsById[String(report.id)] = report;
+    });
+    
+    changes = planSavedReportChanges(client, readSavedReportRows(sheet), reportsById);
+  } catch (e) {
+    log('ERROR', 'saved_reports_plan_failed', e.toString());
+    ui.alert(`Could not load saved reports: ${ObservePointErrors.describe(e)}`);
+    return;
+  }
+  
+  if (changes.length === 0) {
+    ui.alert('No changes to apply.');
+    return;
+  }
+  
+  const counts = {};
+  changes.forEach(function(change) {
+    counts[change.type] = (counts[change.type] || 0) + 1;
+  });
+  const response = ui.alert(
+    'Apply Saved Report Changes',
+    `Apply these changes to ObservePoint?\n\n${Object.keys(counts).map(function(type) { return `${type}: ${counts[type]}`; }).join('\n')}`,
+    ui.ButtonSet.YES_NO
+  );
+  if (response !== ui.Button.YES) {
+    return;
+  }
+  
+  const result = applySavedReportChanges(client, sheet, changes);
+  
+  log('INFO', 'saved_reports_applied', `Applied ${result.applied} of ${changes.length} saved report changes (${result.failed} failed)`);
+  ui.alert(result.failed > 0
+    ? `Applied ${result.applied} of ${changes.length} changes. ${result.failed} failed; see the Status column.`
+    : `Applied ${result.applied} changes.`);
+}
+
+/**
+ * Saved reports with their query definitions, sorted by name
+ */
+function loadSavedReports(client) {
+  return client.listSavedReports({ fresh: true }).map(function(report) {
+    return report.queryDefinition ? report : client.getSavedReport(report.id);
+  }).sort(function(a, b) {
+    return String(a.name).localeCompare(String(b.name));
+  });
+}
+
+function writeSavedReportsSheet(reports) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(SAVED_REPORTS_SHEET_NAME);
+  
+  if (sheet) {
+    sheet.clear();
+  } else {
+    sheet = ss.insertSheet(SAVED_REPORTS_SHEET_NAME);
+  }
+  
+  sheet.getRange(1, 1, 1, SAVED_REPORTS_HEADERS.length).setValues([SAVED_REPORTS_HEADERS]);
+  sheet.getRange(1, 1, 1, SAVED_REPORTS_HEADERS.length)
+    .setFontWeight('bold')
+    .setBackground('#4285f4')
+    .setFontColor('#ffffff');
+  sheet.setFrozenRows(1);
+  
+  if (reports.length > 0) {
+    sheet.getRange(2, 1, reports.length, SAVED_REPORTS_HEADERS.length).setValues(reports.map(savedReportToRow));
+  }
+  
+  const rows = Math.max(reports.length, 1) + 100;
+  sheet.getRange(2, 5, rows, 1).insertCheckboxes();
+  sheet.getRange(2, SAVED_REPORTS_ACTION_COLUMN, rows, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(SAVED_REPORT_ACTIONS).build());
+  
+  return sheet;
+}
+
+function savedReportToRow(report) {
+  return [
+    report.id,
+    report.name || '',
+    report.gridEntityType || '',
+    report.visibility || '',
+    !!report.isFavorite,
+    getSavedReportColumnIds(report).join(', '),
+    '',
+    ''
+  ];
+}
+
+function getSavedReportColumnIds(report) {
+  return ((report.queryDefinition || {}).columns || []).map(function(column) {
+    return column.columnId;
+  });
+}
+
+/**
+ * Non-empty rows of the sheet
+ */
+function readSavedReportRows(sheet) {
+  const lastRow = sheet.getLastRow();
+  
+  return sheet.getRange(2, 1, lastRow - 1, SAVED_REPORTS_HEADERS.length).getValues().map(function(row, i) {
+    return {
+      row: i + 2,
+      reportId: String(row[0]).trim(),
+      name: String(row[1]).trim(),
+      gridEntityType: String(row[2]).trim().toLowerCase(),
+      visibility: String(row[3]).trim(),
+      isFavorite: row[4] === true || String(row[4]).toUpperCase() === 'TRUE',
+      columns: String(row[5]).split(',').map(function(columnId) {
+        return columnId.trim();
+      }).filter(function(columnId) {
+        return columnId;
+      }),
+      action: String(row[6]).trim()
+    };
+  }).filter(function(row) {
+    return row.reportId || row.name;
+  });
+}
+
+/**
+ * Changes to make for the sheet's rows: { type, row, ... } where type is
+ * Create, Update, Duplicate or Delete. Rows that cannot be applied become
+ * Error changes, reported in their Status cell.
+ */
+function planSavedReportChanges(client, rows, reportsById) {
+  const changes = [];
+  
+  rows.forEach(function(row) {
+    if (row.action && SAVED_REPORT_ACTIONS.indexOf(row.action) === -1) {
+      changes.push({ type: 'Error', row: row, message: `Unknown action "${row.action}". Use ${SAVED_REPORT_ACTIONS.join(' or ')}` });
+      return;
+    }
+    
+    if (!row.reportId) {
+      changes.push(planSavedReportCreate(row));
+      return;
+    }
+    
+    const report = reportsById[row.reportId];
+    if (!report) {
+      changes.push({ type: 'Error', row: row, message: `Saved report ${row.reportId} was not found in ObservePoint` });
+      return;
+    }
+    
+    if (row.action === 'Delete') {
+      changes.push({ type: 'Delete', row: row, reportId: row.reportId });
+      return;
+    }
+    
+    const fullReport = report.queryDefinition ? report : client.getSavedReport(row.reportId);
+    const updated = applySavedReportRow(fullReport, row);
+    if (updated) {
+      changes.push({ type: 'Update', row: row, reportId: row.reportId, report: updated });
+    }
+    
+    if (row.action === 'Duplicate') {
+      changes.push({ type: 'Duplicate', row: row, reportId: row.reportId });
+    }
+  });
+  
+  return changes;
+}
+
+function planSavedReportCreate(row) {
+  try {
+    if (!row.name || !row.gridEntityType || row.columns.length === 0) {
+      throw new Error('New reports need a Name, Entity Type and Columns');
+    }
+    
+    const report = GridQuery.entity(row.gridEntityType)
+      .columns(row.columns)
+      .toSavedReport(row.name);
+    report.visibility = row.visibility || report.visibility;
+    report.isFavorite = row.isFavorite;
+    
+    return { type: 'Create', row: row, report: report };
+  } catch (e) {
+    return { type: 'Error', row: row, message: e.message };
+  }
+}
+
+/**
+ * Copy of `report` with the row's edits, or null when the row matches it.
+ * Kept columns keep their settings (groupBy, ...); sorting on removed
+ * columns is dropped.
+ */
+function applySavedReportRow(report, row) {
+  const columnIds = getSavedReportColumnIds(report);
+  const visibility = row.visibility || report.visibility || '';
+  
+  if (row.name === (report.name || '') &&
+      visibility === (report.visibility || '') &&
+      row.isFavorite === !!report.isFavorite &&
+      row.columns.join(',') === columnIds.join(',')) {
+    return null;
+  }
+  
+  const updated = JSON.parse(JSON.stringify(report));
+  updated.name = row.name;
+  updated.visibility = visibility;
+  updated.isFavorite = row.isFavorite;
+  
+  const columnsById = {};
+  (updated.queryDefinition.columns || []).forEach(function(column) {
+    columnsById[column.columnId] = column;
+  });
+  updated.queryDefinition.columns = row.columns.map(function(columnId) {
+    return columnsById[columnId] || { columnId: columnId };
+  });
+  updated.queryDefinition.sortBy = (updated.queryDefinition.sortBy || []).filter(function(sort) {
+    return row.columns.indexOf(sort.columnId) !== -1;
+  });
+  
+  return updated;
+}
+
+/**
+ * Apply planned changes, writing each row's outcome to its Status cell.
+ * Deleted reports' rows are removed; duplicates are added as new rows.
+ */
+function applySavedReportChanges(client, sheet, changes) {
+  const deletedRows = [];
+  const failedRows = {};
+  let applied = 0;
+  let failed = 0;
+  
+  changes.forEach(function(change) {
+    const row = change.row;
+    
+    // A row whose update failed is not duplicated or deleted
+    if (failedRows[row.row]) {
+      return;
+    }
+    
+    try {
+      if (change.type === 'Error') {
+        throw new Error(change.message);
+      } else if (change.type === 'Create') {
+        const created = client.createSavedReport(change.report);
+        sheet.getRange(row.row, 1).setValue(created.id);
+        writeSavedReportStatus(sheet, row.row, `Created ${created.id}`);
+      } else if (change.type === 'Update') {
+        client.updateSavedReport(change.reportId, change.report);
+        writeSavedReportStatus(sheet, row.row, 'Updated');
+      } else if (change.type === 'Duplicate') {
+        const copy = client.duplicateSavedReport(change.reportId);
+        sheet.appendRow(savedReportToRow(copy).slice(0, SAVED_REPORTS_STATUS_COLUMN - 1).concat([`Copy of ${change.reportId}`]));
+        writeSavedReportStatus(sheet, row.row, `Duplicated as ${copy.id}`);
+      } else if (change.type === 'Delete') {
+        client.deleteSavedReport(change.reportId);
+        deletedRows.push(row.row);
+      }
+      applied++;
+    } catch (e) {
+      failedRows[row.row] = true;
+      failed++;
+      log('ERROR', 'saved_report_change_failed', `${change.type} of row ${row.row}: ${e.toString()}`);
+      sheet.getRange(row.row, SAVED_REPORTS_STATUS_COLUMN).setValue(`Error: ${ObservePointErrors.describe(e)}`);
+    }
+  });
+  
+  // Bottom-up, so earlier row numbers stay valid
+  deletedRows.sort(function(a, b) { return b - a; }).forEach(function(rowNumber) {
+    sheet.deleteRow(rowNumber);
+  });
+  
+  return { applied: applied, failed: failed };
+}
+
+/**
+ * Mark a row as applied: clear its Action and set its Status
+ */
+function writeSavedReportStatus(sheet, rowNumber, status) {
+  sheet.getRange(rowNumber, SAVED_REPORTS_ACTION_COLUMN, 1, 2).setValues([['', status]]);
+}
@@ -0,0 +1,304 @@
+/**
+ * Scheduled imports for Grid Importer
+ * Each schedule runs a saved report import hourly, daily or weekly from its own
+ * time-driven trigger. Schedules are stored in the GridImporter_Schedules sheet
+ * and carry a retention policy for the timestamped snapshot sheets they create:
+ * keep the last N snapshots and/or delete snapshots older than X days. A deleted
+ * snapshot takes its overflow spreadsheets and GridImporter_Index rows with it.
+ */
+
+const GRID_SCHEDULE_SHEET_NAME = 'GridImporter_Schedules';
+const GRID_SCHEDULE_HANDLER = 'gridImporter_runScheduledImport';
+const GRID_SCHEDULE_FREQUENCIES = ['Hourly', 'Daily', 'Weekly'];
+const GRID_SCHEDULE_WEEKDAYS = ['MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY', 'SUNDAY'];
+
+const GRID_SCHEDULE_HEADERS = [
+  'Schedule ID', 'Report ID', 'Frequency', 'Hour', 'Weekday',
+  'Keep Last', 'Max Age (Days)', 'Trigger ID', 'Last Run', 'Last Status'
+];
+
+// Snapshot sheets are named <report name>_<yyyy-MM-dd_HHmmss>, optionally with a _partN suffix
+const SNAPSHOT_SUFFIX_PATTERN = /^_(\d{4})-(\d{2})-(\d{2})_(\d{2})(\d{2})(\d{2})(_part\d+)?$/;
+
+/**
+ * Menu entry: open the Schedule Import dialog
+ */
+function gridImporter_scheduleImport() {
+  showGridImporterScheduleDialog();
+}
+
+function getScheduleSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(GRID_SCHEDULE_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(GRID_SCHEDULE_SHEET_NAME);
+    sheet.getRange(1, 1, 1, GRID_SCHEDULE_HEADERS.length).setValues([GRID_SCHEDULE_HEADERS]);
+    sheet.getRange(1, 1, 1, GRID_SCHEDULE_HEADERS.length)
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('#ffffff');
+    sheet.setFrozenRows(1);
+  }
+  
+  return sheet;
+}
+
+/**
+ * All schedule definitions (called by the schedule dialog)
+ */
+function getGridImportSchedules() {
+  const sheet = getScheduleSheet();
+  const lastRow = sheet.getLastRow();
+  
+  if (lastRow < 2) {
+    return [];
+  }
+  
+  return sheet.getRange(2, 1, lastRow - 1, GRID_SCHEDULE_HEADERS.length).getValues().map(function(row, i) {
+    return {
+      row: i + 2,
+      scheduleId: String(row[0]),
+      reportId: String(row[1]),
+      frequency: row[2],
+      hour: row[3] === '' ? null : Number(row[3]),
+      weekday: row[4],
+      keepLast: row[5] === '' ? null : Number(row[5]),
+      maxAgeDays: row[6] === '' ? null : Number(row[6]),
+      triggerId: String(row[7]),
+      lastRun: row[8] instanceof Date ? row[8].toISOString() : String(row[8]),
+      lastStatus: String(row[9])
+    };
+  });
+}
+
+/**
+ * Create a schedule and its trigger (called by the schedule dialog).
+ * Returns the updated list of schedules.
+ */
+function saveGridImportSchedule(schedule) {
+  validateGridImportSchedule(schedule);
+  
+  const trigger = createScheduleTrigger(schedule);
+  const scheduleId = 'SCH-' + new Date().getTime();
+  
+  const sheet = getScheduleSheet();
+  sheet.appendRow([
+    scheduleId,
+    schedule.reportId,
+    schedule.frequency,
+    schedule.frequency === 'Hourly' ? '' : schedule.hour,
+    schedule.frequency === 'Weekly' ? schedule.weekday : '',
+    schedule.keepLast || '',
+    schedule.maxAgeDays || '',
+    trigger.getUniqueId(),
+    '',
+    'Scheduled'
+  ]);
+  
+  log('INFO', 'schedule_created', `Scheduled ${schedule.frequency.toLowerCase()} import of report ${schedule.reportId} (${scheduleId})`);
+  
+  return getGridImportSchedules();
+}
+
+function validateGridImportSchedule(schedule) {
+  if (!schedule.reportId) {
+    throw new Error('Saved Report ID is required');
+  }
+  
+  if (GRID_SCHEDULE_FREQUENCIES.indexOf(schedule.frequency) === -1) {
+    throw new Error(`Frequency must be one of: ${GRID_SCHEDULE_FREQUENCIES.join(', ')}`);
+  }
+  
+  if (schedule.frequency !== 'Hourly' && !(schedule.hour >= 0 && schedule.hour <= 23)) {
+    throw new Error('Hour must be between 0 and 23');
+  }
+  
+  if (schedule.frequency === 'Weekly' && GRID_SCHEDULE_WEEKDAYS.indexOf(schedule.weekday) === -1) {
+    throw new Error(`Weekday must be one of: ${GRID_SCHEDULE_WEEKDAYS.join(', ')}`);
+  }
+  
+  if ((schedule.keepLast && schedule.keepLast < 1) || (schedule.maxAgeDays && schedule.maxAgeDays < 1)) {
+    throw new Error('Retention values must be at least 1');
+  }
+}
+
+function createScheduleTrigger(schedule) {
+  const builder = ScriptApp.newTrigger(GRID_SCHEDULE_HANDLER).timeBased();
+  
+  if (schedule.frequency === 'Hourly') {
+    return builder.everyHours(1).create();
+  }
+  
+  if (schedule.frequency === 'Daily') {
+    return builder.everyDays(1).atHour(schedule.hour).create();
+  }
+  
+  return builder.everyWeeks(1).onWeekDay(ScriptApp.WeekDay[schedule.weekday]).atHour(schedule.hour).create();
+}
+
+/**
+ * Delete a schedule and its trigger (called by the schedule dialog).
+ * Returns the updated list of schedules.
+ */
+function deleteGridImportSchedule(scheduleId) {
+  const schedule = getGridImportSchedules().filter(function(s) {
+    return s.scheduleId === scheduleId;
+  })[0];
+  
+  if (!schedule) {
+    throw new Error(`Schedule ${scheduleId} not found`);
+  }
+  
+  ScriptApp.getProjectTriggers().forEach(function(trigger) {
+    if (trigger.getUniqueId() === schedule.triggerId) {
+      ScriptApp.deleteTrigger(trigger);
+    }
+  });
+  
+  getScheduleSheet().deleteRows(schedule.row, 1);
+  log('INFO', 'schedule_deleted', `Deleted schedule ${scheduleId} for report ${schedule.reportId}`);
+  
+  return getGridImportSchedules();
+}
+
+/**
+ * Trigger handler: run the import of the schedule that owns the firing trigger,
+ * then apply its retention policy
+ */
+function gridImporter_runScheduledImport(e) {
+  const triggerId = e && e.triggerUid ? String(e.triggerUid) : null;
+  const schedule = getGridImportSchedules().filter(function(s) {
+    return s.triggerId === triggerId;
+  })[0];
+  
+  if (!schedule) {
+    log('WARN', 'schedule_not_found', `No schedule found for trigger ${triggerId}`);
+    return null;
+  }
+  
+  if (loadImportState()) {
+    log('WARN', 'schedule_skipped', `Skipped scheduled import of report ${schedule.reportId}: another import is in progress`);
+    updateScheduleStatus(schedule, 'Skipped (another import in progress)');
+    return null;
+  }
+  
+  log('INFO', 'schedule_run', `Running scheduled import of report ${schedule.reportId} (${schedule.scheduleId})`);
+  
+  const batchSize = parseInt(getConfigValue('BATCH_SIZE')) || 50000;
+  const result = executeGridImport(getConfigValue('OP_API_KEY'), schedule.reportId, batchSize, null, null, { abortOnFailure: true });
+  
+  if (!result.success) {
+    updateScheduleStatus(schedule, 'Failed: ' + result.error);
+    return result;
+  }
+  
+  const deleted = applySnapshotRetention(result.reportName || 'Report_' + schedule.reportId, schedule.keepLast, schedule.maxAgeDays);
+  const status = result.complete ? `Imported ${result.totalRows} rows` : `Started (${result.status})`;
+  updateScheduleStatus(schedule, status + (deleted.length > 0 ? `, deleted ${deleted.length} old snapshot sheet(s)` : ''));
+  
+  return result;
+}
+
+function updateScheduleStatus(schedule, status) {
+  getScheduleSheet().getRange(schedule.row, 9, 1, 2).setValues([[new Date(), status]]);
+}
+
+/**
+ * Delete snapshots of a report beyond the newest `keepLast` snapshots or older
+ * than `maxAgeDays`: their sheets, overflow spreadsheets and index rows.
+ * Returns the names of the deleted sheets.
+ */
+function applySnapshotRetention(reportName, keepLast, maxAgeDays) {
+  if (!keepLast && !maxAgeDays) {
+    return [];
+  }
+  
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const indexSheet = ss.getSheetByName(GRID_INDEX_SHEET_NAME);
+  const prefix = reportName.substring(0, 50);
+  const snapshots = {};
+  
+  // The snapshot a sheet name (including _partN sheets) belongs to, grouped by timestamp
+  function getSnapshot(name) {
+    if (name.indexOf(prefix) !== 0) {
+      return null;
+    }
+    
+    const match = name.substring(prefix.length).match(SNAPSHOT_SUFFIX_PATTERN);
+    if (!match) {
+      return null;
+    }
+    
+    const key = match.slice(1, 7).join('');
+    snapshots[key] = snapshots[key] || {
+      time: new Date(match[1], match[2] - 1, match[3], match[4], match[5], match[6]).getTime(),
+      sheets: [],
+      indexEntries: []
+    };
+    return snapshots[key];
+  }
+  
+  ss.getSheets().forEach(function(sheet) {
+    const snapshot = getSnapshot(sheet.getName());
+    if (snapshot) {
+      snapshot.sheets.push(sheet);
+    }
+  });
+  
+  // Parts in overflow spreadsheets are only known from the index
+  (indexSheet ? readImportIndex(indexSheet) : []).forEach(function(entry) {
+    const snapshot = getSnapshot(entry.sheetName);
+    if (snapshot) {
+      snapshot.indexEntries.push(entry);
+    }
+  });
+  
+  const newestFirst = Object.keys(snapshots).sort().reverse().map(function(key) {
+    return snapshots[key];
+  });
+  const cutoff = maxAgeDays ? new Date().getTime() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+  const deleted = [];
+  const trashed = {};
+  let indexRows = [];
+  
+  newestFirst.forEach(function(snapshot, i) {
+    const tooMany = keepLast && i >= keepLast;
+    const tooOld = cutoff && snapshot.time < cutoff;
+    
+    // Never delete the newest snapshot, which may still be importing
+    if (i > 0 && (tooMany || tooOld)) {
+      snapshot.sheets.forEach(function(sheet) {
+        deleted.push(sheet.getName());
+        ss.deleteSheet(sheet);
+      });
+      
+      snapshot.indexEntries.forEach(function(entry) {
+        if (entry.spreadsheetId) {
+          if (!trashed[entry.spreadsheetId]) {
+            trashed[entry.spreadsheetId] = true;
+            try {
+              DriveApp.getFileById(entry.spreadsheetId).setTrashed(true);
+            } catch (error) {
+              // Already deleted by hand: the index row still goes
+              log('WARN', 'snapshot_overflow_missing', `Overflow spreadsheet ${entry.spreadsheetId} of ${entry.sheetName} could not be deleted: ${error.message}`);
+            }
+          }
+          deleted.push(entry.sheetName);
+        }
+      });
+      indexRows = indexRows.concat(snapshot.indexEntries.map(function(entry) { return entry.row; }));
+    }
+  });
+  
+  // Delete bottom-up so earlier row numbers stay valid
+  indexRows.sort(function(a, b) { return b - a; }).forEach(function(row) {
+    indexSheet.deleteRows(row, 1);
+  });
+  
+  if (deleted.length > 0) {
+    log('INFO', 'snapshots_deleted', `Retention deleted ${deleted.length} snapshot sheet(s) of ${reportName}: ${deleted.join(', ')}`);
+  }
+  
+  return deleted;
+}
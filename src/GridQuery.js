@@ -0,0 +1,299 @@
+/**
+ * Grid Query Builder
+ * 
+ * Fluent builder for Grid API query definitions, so scripts can compose
+ * queries instead of copying nested JSON. Exposed from the library as
+ * ObservePointTools.GridQuery.
+ * 
+ * Usage:
+ *   const query = GridQuery.entity('links')
+ *     .where('AUDIT_ID').in([auditId])
+ *     .where('IS_LINK_EXTERNAL').isTrue()
+ *     .not().where('FINAL_PAGE_STATUS_CODE').in([403, 429])
+ *     .columns('FINAL_PAGE_URL', 'LINK_URL')
+ *     .groupBy('FINAL_PAGE_URL', 'LINK_URL')
+ *     .sort('LINK_URL');
+ * 
+ *   client.fetchGridQuery(query, 0, 1000);
+ *   client.createSavedReport(query.toSavedReport('External links'));
+ * 
+ * not() negates the next condition and can come before where() or before
+ * the operator. build() validates the query and throws listing its problems.
+ */
+
+var GridQuery = (function() {
+  
+  var ENTITY_TYPE_PATTERN = /^[a-z_]+$/;
+  var COLUMN_ID_PATTERN = /^[A-Z0-9_]+$/;
+  
+  function GridQuery(gridEntityType) {
+    this.gridEntityType = gridEntityType || null;
+    this.conditions = [];
+    this.selectedColumns = [];
+    this.groupByColumns = [];
+    this.sortColumns = [];
+    this.matchMode = 'all';
+    this.includeAllAccounts = false;
+    this.pendingColumn = null;
+    this.negateNext = false;
+  }
+  
+  /**
+   * Start a query for a grid entity type ('links', 'pages', 'tags', ...)
+   */
+  GridQuery.entity = function(gridEntityType) {
+    return new GridQuery(gridEntityType);
+  };
+  
+  GridQuery.prototype.entity = function(gridEntityType) {
+    this.gridEntityType = gridEntityType;
+    return this;
+  };
+  
+  /**
+   * Column the next condition filters on; follow with an operator method
+   */
+  GridQuery.prototype.where = function(columnId) {
+    if (this.pendingColumn) {
+      throw new Error('where("' + this.pendingColumn + '") has no condition; call in(), isTrue() or op() before the next where()');
+    }
+    this.pendingColumn = checkColumnId(columnId);
+    return this;
+  };
+  
+  /**
+   * Negate the next condition
+   */
+  GridQuery.prototype.not = function() {
+    this.negateNext = !this.negateNext;
+    return this;
+  };
+  
+  /**
+   * Column value is one of `values`: integer_in for whole numbers, string_in otherwise
+   */
+  GridQuery.prototype.in = function(values) {
+    values = Array.isArray(values) ? values : [values];
+    var integers = values.length > 0 && values.every(function(value) {
+      return typeof value === 'number' && Math.floor(value) === value;
+    });
+    return this.op(integers ? 'integer_in' : 'string_in', values);
+  };
+  
+  /**
+   * Flag column (IS_*) is set
+   */
+  GridQuery.prototype.isTrue = function() {
+    return this.op('integer_in', [1]);
+  };
+  
+  /**
+   * Date column on or after / on or before a yyyy-MM-dd date
+   */
+  GridQuery.prototype.from = function(date) {
+    return this.op('date_gte', [formatDate(date)]);
+  };
+  
+  GridQuery.prototype.to = function(date) {
+    return this.op('date_lte', [formatDate(date)]);
+  };
+  
+  /**
+   * Condition with any Grid API operator
+   */
+  GridQuery.prototype.op = function(operator, args) {
+    if (!this.pendingColumn) {
+      throw new Error('Call where(columnId) before the ' + operator + ' condition');
+    }
+    
+    this.conditions.push({
+      negated: this.negateNext,
+      operator: operator,
+      filteredColumn: {
+        columnId: this.pendingColumn
+      },
+      args: Array.isArray(args) ? args : [args]
+    });
+    
+    this.pendingColumn = null;
+    this.negateNext = false;
+    return this;
+  };
+  
+  /**
+   * Match any condition instead of all of them
+   */
+  GridQuery.prototype.matchAny = function() {
+    this.matchMode = 'any';
+    return this;
+  };
+  
+  GridQuery.prototype.allAccounts = function(include) {
+    this.includeAllAccounts = include !== false;
+    return this;
+  };
+  
+  /**
+   * Columns to return, in order (a list or several arguments)
+   */
+  GridQuery.prototype.columns = function() {
+    var self = this;
+    toColumnList(arguments).forEach(function(columnId) {
+      if (self.selectedColumns.indexOf(columnId) === -1) {
+        self.selectedColumns.push(columnId);
+      }
+    });
+    return this;
+  };
+  
+  /**
+   * Columns to group by; they are added to the returned columns if missing
+   */
+  GridQuery.prototype.groupBy = function() {
+    var self = this;
+    var columnIds = toColumnList(arguments);
+    this.columns(columnIds);
+    columnIds.forEach(function(columnId) {
+      if (self.groupByColumns.indexOf(columnId) === -1) {
+        self.groupByColumns.push(columnId);
+      }
+    });
+    return this;
+  };
+  
+  /**
+   * Sort by a returned column, 'asc' (default) or 'desc'
+   */
+  GridQuery.prototype.sort = function(columnId, direction) {
+    direction = String(direction || 'asc').toLowerCase();
+    if (direction !== 'asc' && direction !== 'desc') {
+      throw new Error('Sort direction must be "asc" or "desc", got "' + direction + '"');
+    }
+    
+    this.sortColumns.push({
+      columnId: checkColumnId(columnId),
+      sortDesc: direction === 'desc'
+    });
+    return this;
+  };
+  
+  /**
+   * Problems that would make the API reject the query (empty when valid)
+   */
+  GridQuery.prototype.validate = function() {
+    var errors = [];
+    var self = this;
+    
+    if (!this.gridEntityType || !ENTITY_TYPE_PATTERN.test(this.gridEntityType)) {
+      errors.push('Grid entity type "' + this.gridEntityType + '" is not valid; start with GridQuery.entity(\'links\')');
+    }
+    
+    if (this.pendingColumn) {
+      errors.push('where("' + this.pendingColumn + '") has no condition');
+    } else if (this.negateNext) {
+      errors.push('not() is not followed by a condition');
+    }
+    
+    if (this.selectedColumns.length === 0) {
+      errors.push('The query returns no columns; add columns() or groupBy()');
+    }
+    
+    this.conditions.forEach(function(condition) {
+      var columnId = condition.filteredColumn.columnId;
+      
+      if (condition.args.length === 0) {
+        errors.push(columnId + ' ' + condition.operator + ' has no arguments');
+      }
+      
+      if (condition.operator.indexOf('integer') === 0) {
+        condition.args.forEach(function(arg) {
+          if (typeof arg !== 'number' || Math.floor(arg) !== arg) {
+            errors.push(columnId + ' ' + condition.operator + ' needs whole numbers, got ' + JSON.stringify(arg));
+          }
+        });
+      }
+    });
+    
+    this.sortColumns.forEach(function(sort) {
+      if (self.selectedColumns.indexOf(sort.columnId) === -1) {
+        errors.push('Sort column ' + sort.columnId + ' is not one of the returned columns');
+      }
+    });
+    
+    return errors;
+  };
+  
+  /**
+   * { gridEntityType, queryDefinition } for the Grid API. Throws if the query is not valid.
+   */
+  GridQuery.prototype.build = function() {
+    var errors = this.validate();
+    if (errors.length > 0) {
+      throw new Error('Invalid Grid query: ' + errors.join('; '));
+    }
+    
+    var self = this;
+    
+    return {
+      gridEntityType: this.gridEntityType,
+      queryDefinition: {
+        filters: {
+          allAccounts: this.includeAllAccounts,
+          conditions: JSON.parse(JSON.stringify(this.conditions)),
+          conditionMatchMode: this.matchMode
+        },
+        columns: this.selectedColumns.map(function(columnId) {
+          return self.groupByColumns.indexOf(columnId) !== -1
+            ? { groupBy: true, columnId: columnId }
+            : { columnId: columnId };
+        }),
+        sortBy: JSON.parse(JSON.stringify(this.sortColumns))
+      }
+    };
+  };
+  
+  GridQuery.prototype.toQueryDefinition = function() {
+    return this.build().queryDefinition;
+  };
+  
+  /**
+   * Payload for ObservePointClient.createSavedReport
+   */
+  GridQuery.prototype.toSavedReport = function(name) {
+    var query = this.build();
+    
+    return {
+      name: name,
+      isFavorite: false,
+      visibility: 'private',
+      queryDefinition: query.queryDefinition,
+      gridEntityType: query.gridEntityType,
+      displayMetadata: {}
+    };
+  };
+  
+  function checkColumnId(columnId) {
+    if (!columnId || !COLUMN_ID_PATTERN.test(columnId)) {
+      throw new Error('Column ID "' + columnId + '" is not valid; use IDs like LINK_URL');
+    }
+    return columnId;
+  }
+  
+  function toColumnList(args) {
+    var list = args.length === 1 && Array.isArray(args[0]) ? args[0] : Array.prototype.slice.call(args);
+    return list.map(checkColumnId);
+  }
+  
+  function formatDate(date) {
+    if (date instanceof Date) {
+      return Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy-MM-dd');
+    }
+    
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(date))) {
+      throw new Error('Date "' + date + '" must be a Date or yyyy-MM-dd');
+    }
+    return String(date);
+  }
+  
+  return GridQuery;
+})();
@@ -16,6 +16,16 @@
  * 5. Use any tool from the menu
  */
 
+// Handlers for the time-driven triggers the tools create. Customer wrappers
+// must expose these as well and pass the trigger event through
+// (scripts/generate-customer-template.sh reads this list)
+var TRIGGER_HANDLER_FUNCTIONS = [
+  'gridImporter_continueImport',
+  'gridImporter_continueBatchImport',
+  'gridImporter_runScheduledImport',
+  'webhooks_processQueue'
+];
+
 function onOpen() {
   var ui = SpreadsheetApp.getUi();
   
@@ -28,11 +38,20 @@ function onOpen() {
     .addSubMenu(ui.createMenu('Grid API Importer')
       .addItem('Initialize Config', 'gridImporter_initConfig')
       .addItem('Import Saved Report', 'gridImporter_importReport')
+      .addItem('Import All Reports', 'gridImporter_importAllReports')
+      .addItem('Run Ad-hoc Query', 'gridImporter_runQuery')
+      .addItem('Manage Saved Reports', 'gridImporter_manageSavedReports')
+      .addItem('Apply Saved Report Changes', 'gridImporter_applySavedReportChanges')
+      .addItem('Schedule Import', 'gridImporter_scheduleImport')
+      .addItem('Resume / Abort Import', 'gridImporter_resumeOrAbortImport')
+      .addItem('Compare Snapshots', 'gridImporter_compareSnapshots')
+      .addItem('Reset Incremental Watermark', 'gridImporter_resetWatermark')
       .addItem('Clear Data', 'gridImporter_clearData'))
     .addSubMenu(ui.createMenu('Webhook Automation')
       .addItem('Setup Wizard', 'webhooks_setupWizard')
       .addItem('Manual Run Primary', 'webhooks_manualRunPrimary')
       .addItem('Manual Run Secondary', 'webhooks_manualRunSecondary')
+      .addItem('View Webhook Jobs', 'webhooks_viewJobs')
       .addItem('Initialize Config', 'webhooks_initConfig'))
     .addSubMenu(ui.createMenu('Sitemap Monitor')
       .addItem('Initialize Config', 'sitemapMonitor_initConfig')
@@ -3,93 +3,716 @@
  * 
  * Shared library for making ObservePoint API calls.
  * Handles authentication, error handling, retries, and common patterns.
+ * Every ObservePoint request in the library goes through this client.
  * 
  * Usage:
  *   const client = new ObservePointClient(apiKey);
- *   const report = client.fetchSavedReport(reportId);
+ *   const report = client.getSavedReport(reportId);
+ * 
+ * Transports:
+ *   HTTP is delegated to a transport object exposing fetch(url, options),
+ *   which must return a response with getResponseCode(), getContentText()
+ *   and getHeaders() (the UrlFetchApp HTTPResponse interface), and
+ *   optionally fetchAll(requests) (UrlFetchApp.fetchAll) for parallel requests.
+ *   The default transport wraps UrlFetchApp. Pass { transport: ... } to the
+ *   constructor, or call ObservePointClient.setDefaultTransport(), to route
+ *   requests elsewhere (e.g. a fake ObservePoint server when running under Node).
+ * 
+ * Retries:
+ *   Network errors, 429 and 502/503/504 are retried with exponential backoff
+ *   and jitter, honoring Retry-After, within a max elapsed time. Pass
+ *   { retryPolicy: { maxAttempts, baseDelayMs, maxDelayMs, maxElapsedMs,
+ *   retryStatuses } } to change it. POST and PATCH requests may have reached
+ *   the server when they fail, so they are only retried on 429, unless the
+ *   request sets { retryable: true } (Grid queries, which only read).
+ * 
+ * Parallel pages:
+ *   fetchGridPages fetches several Grid pages concurrently with the
+ *   transport's fetchAll(requests), in batches of up to maxParallelRequests
+ *   (default 5), halving the batch size when the API returns 429.
+ * 
+ * Errors:
+ *   Failed requests throw the typed errors of ObservePointErrors.js
+ *   (AuthenticationError, NotFoundError, ValidationError, ...) with the
+ *   status, endpoint and request ID; `error.attempts` lists the attempts made.
+ * 
+ * Response cache:
+ *   Pass { cache: true } (or { cache: { ttls: { savedReport, audit } } }, in
+ *   seconds) to cache getSavedReport, listSavedReports and getAudit responses
+ *   in the user cache, 10 and 5 minutes by default. Audit and saved report
+ *   writes invalidate what they change; hits and misses are logged.
+ * 
+ * Column catalog (opt-in):
+ *   The /v3/reports/grid/{entity}/columns endpoint is not part of the public
+ *   API docs and its response shape is inferred, so it is only called for
+ *   clients created with { columnCatalog: true }. getGridColumns(entityType)
+ *   then fetches the columns, types and operators of a grid entity type,
+ *   cached for the execution and in the user cache; accounts without the
+ *   endpoint (404) get null. Query definitions are checked against it before
+ *   fetchGridData and createSavedReport send them. Problems are logged as
+ *   warnings and the request is sent anyway; pass { validateQueries: true }
+ *   to throw instead, or { validateQueries: false } to skip the check.
  */
 
 var ObservePointClient = (function() {
   
-  function ObservePointClient(apiKey) {
+  var DEFAULT_BASE_URL = 'https://api.observepoint.com';
+  var defaultTransport = null;
+  
+  // Override per client with { retryPolicy: { ... } }
+  var DEFAULT_RETRY_POLICY = {
+    maxAttempts: 5,
+    baseDelayMs: 1000,
+    maxDelayMs: 30000,
+    maxElapsedMs: 90000,
+    retryStatuses: [429, 502, 503, 504]
+  };
+  var NEVER_RETRY_STATUSES = [400, 401, 404];
+  
+  // Grid pages requested at once by fetchGridPages; halved on 429s
+  var DEFAULT_MAX_PARALLEL_REQUESTS = 5;
+  
+  // Response cache TTLs in seconds; override per client with { cache: { ttls: { ... } } }
+  var DEFAULT_CACHE_TTLS = {
+    savedReport: 10 * 60,
+    audit: 5 * 60
+  };
+  var RESPONSE_CACHE_PREFIX = 'op_response_';
+  // Outlives every response TTL, so entries of an older generation expire first
+  var CACHE_GENERATION_TTL_SECONDS = 6 * 60 * 60;
+  // Response cache hits and misses in this execution
+  var cacheStats = { hits: 0, misses: 0 };
+  
+  var COLUMN_CATALOG_CACHE_PREFIX = 'op_grid_columns_';
+  var COLUMN_CATALOG_TTL_SECONDS = 6 * 60 * 60;
+  var COLUMN_CATALOG_RETRY_SECONDS = 30 * 60;
+  // Catalogs already loaded in this execution, by cache key (null: unavailable)
+  var columnCatalogs = {};
+  
+  function UrlFetchTransport() {}
+  
+  UrlFetchTransport.prototype.fetch = function(url, options) {
+    return UrlFetchApp.fetch(url, options);
+  };
+  
+  UrlFetchTransport.prototype.fetchAll = function(requests) {
+    return UrlFetchApp.fetchAll(requests);
+  };
+  
+  function ObservePointClient(apiKey, options) {
     if (!apiKey) {
       throw new Error('API key is required');
     }
+    options = options || {};
+    
+    var baseUrl = options.baseUrl || DEFAULT_BASE_URL;
+    
     this.apiKey = apiKey;
-    this.baseUrlV2 = 'https://api.observepoint.com/v2';
-    this.baseUrlV3 = 'https://api.observepoint.com/v3';
-    this.maxRetries = 3;
+    this.baseUrlV2 = baseUrl + '/v2';
+    this.baseUrlV3 = baseUrl + '/v3';
+    this.retryPolicy = mergeDefaults(DEFAULT_RETRY_POLICY, options.retryPolicy);
+    this.lastAttempts = [];
+    this.transport = options.transport || defaultTransport || new UrlFetchTransport();
+    // The column catalog endpoint is undocumented, so it is off unless asked for
+    this.columnCatalog = !!options.columnCatalog;
+    // true throws on catalog problems, 'warn' (default) only logs them, false skips the check
+    this.validateQueries = options.validateQueries === undefined ? 'warn' : options.validateQueries;
+    this.maxParallelRequests = options.maxParallelRequests || DEFAULT_MAX_PARALLEL_REQUESTS;
+    // Current batch size of fetchGridPages, lowered when the API rate limits
+    this.parallelism = this.maxParallelRequests;
+    // Response cache TTLs by resource, null when the cache is off
+    this.cacheTtls = options.cache ? mergeDefaults(DEFAULT_CACHE_TTLS, options.cache.ttls) : null;
+  }
+  
+  function mergeDefaults(defaults, overrides) {
+    var merged = {};
+    Object.keys(defaults).forEach(function(key) {
+      merged[key] = overrides && overrides[key] !== undefined ? overrides[key] : defaults[key];
+    });
+    return merged;
   }
   
+  /**
+   * Response cache hits and misses so far in this execution
+   */
+  ObservePointClient.getCacheStats = function() {
+    return { hits: cacheStats.hits, misses: cacheStats.misses };
+  };
+  
+  /**
+   * Replace the transport used by clients constructed without an explicit one.
+   * Pass null to restore the UrlFetchApp transport.
+   */
+  ObservePointClient.setDefaultTransport = function(transport) {
+    defaultTransport = transport || null;
+  };
+  
+  ObservePointClient.UrlFetchTransport = UrlFetchTransport;
+  
+  /**
+   * Send a request, retrying per the client's retry policy: network exceptions
+   * and the policy's retryStatuses are retried with exponential backoff and
+   * jitter (or after the response's Retry-After), until maxAttempts or the
+   * maxElapsedMs budget runs out. 400, 401 and 404 are never retried, and
+   * POST/PATCH only on 429 unless `options.retryable` is set. With
+   * `options.allowNotFound` a 404 returns null instead of throwing. Every attempt is recorded in `client.lastAttempts` and on a thrown
+   * error's `attempts`.
+   */
   ObservePointClient.prototype.makeRequest = function(url, options) {
-    options = options || {};
+    options = addRequestHeaders(this, options || {});
+    
+    var retryable = options.retryable !== undefined ? !!options.retryable : isIdempotent(options.method);
+    var allowNotFound = !!options.allowNotFound;
+    delete options.retryable;
+    delete options.allowNotFound;
+    
+    var policy = this.retryPolicy;
+    var startedAt = new Date().getTime();
+    var attempts = [];
+    this.lastAttempts = attempts;
+    
+    for (var attempt = 1; ; attempt++) {
+      var response = null;
+      var error = null;
+      
+      try {
+        response = this.transport.fetch(url, options);
+      } catch (e) {
+        error = e;
+      }
+      
+      var code = response ? response.getResponseCode() : null;
+      var record = {
+        attempt: attempt,
+        status: code,
+        error: error ? error.toString() : null,
+        elapsedMs: new Date().getTime() - startedAt
+      };
+      attempts.push(record);
+      
+      if (response && code < 400) {
+        var body = response.getContentText();
+        return body ? JSON.parse(body) : null;
+      }
+      
+      if (code === 404 && allowNotFound) {
+        return null;
+      }
+      
+      if (response) {
+        Logger.log('ERROR', 'api_error', 'HTTP ' + code + ': ' + response.getContentText());
+        error = ObservePointErrors.fromResponse(options.method, url, response);
+      } else {
+        error = ObservePointErrors.fromException(options.method, url, error);
+      }
+      error.attempts = attempts;
+      
+      var waitMs = isRetryable(policy, code, retryable) ? getRetryDelay(policy, attempt, response) : null;
+      
+      if (waitMs === null || attempt >= policy.maxAttempts || record.elapsedMs + waitMs > policy.maxElapsedMs) {
+        Logger.log('ERROR', 'api_request_failed', url + ' - ' + error.toString() + ' (' + attempt + ' attempt' + (attempt === 1 ? '' : 's') + ')');
+        throw error;
+      }
+      
+      record.waitMs = waitMs;
+      Logger.log('WARN', code === 429 ? 'rate_limit' : 'api_retry', 'Attempt ' + attempt + ' failed (' + (code || error.toString()) + '), retrying in ' + waitMs + 'ms');
+      Utilities.sleep(waitMs);
+    }
+  };
+  
+  /**
+   * Methods that can be repeated without changing the result (UrlFetchApp defaults to GET)
+   */
+  function isIdempotent(method) {
+    return ['get', 'head', 'put', 'delete'].indexOf(String(method || 'get').toLowerCase()) !== -1;
+  }
+  
+  function addRequestHeaders(client, options) {
     options.headers = options.headers || {};
-    options.headers['Authorization'] = 'api_key ' + this.apiKey;
+    options.headers['Authorization'] = 'api_key ' + client.apiKey;
     options.headers['Accept'] = 'application/json';
     options.muteHttpExceptions = true;
+    return options;
+  }
+  
+  /**
+   * Network exceptions (no status) and the policy's retry statuses are retried.
+   * A request that is not `retryable` may have been applied already, so only
+   * a 429 (refused before it was processed) is retried.
+   */
+  function isRetryable(policy, code, retryable) {
+    if (!retryable) {
+      return code === 429 && policy.retryStatuses.indexOf(code) !== -1;
+    }
+    if (code === null) {
+      return true;
+    }
+    return NEVER_RETRY_STATUSES.indexOf(code) === -1 && policy.retryStatuses.indexOf(code) !== -1;
+  }
+  
+  /**
+   * Retry-After (seconds or an HTTP date) when the response has one, otherwise
+   * exponential backoff with jitter: between half and all of
+   * baseDelayMs * 2^(attempt - 1), capped at maxDelayMs
+   */
+  function getRetryDelay(policy, attempt, response) {
+    var retryAfter = response ? getHeader(response, 'Retry-After') : null;
     
-    var retries = 0;
+    if (retryAfter) {
+      var seconds = Number(retryAfter);
+      var ms = isNaN(seconds) ? new Date(retryAfter).getTime() - new Date().getTime() : seconds * 1000;
+      if (!isNaN(ms)) {
+        return Math.max(0, Math.round(ms));
+      }
+    }
     
-    while (retries < this.maxRetries) {
-      try {
-        var response = UrlFetchApp.fetch(url, options);
-        var code = response.getResponseCode();
-        
-        if (code === 429) {
-          var waitTime = Math.pow(2, retries) * 1000;
-          Logger.log('WARN', 'rate_limit', 'Rate limited, waiting ' + waitTime + 'ms');
-          Utilities.sleep(waitTime);
-          retries++;
-          continue;
-        }
-        
-        if (code >= 400) {
-          var errorText = response.getContentText();
-          Logger.log('ERROR', 'api_error', 'HTTP ' + code + ': ' + errorText);
-          throw new Error('API Error ' + code + ': ' + errorText);
-        }
-        
-        return JSON.parse(response.getContentText());
-        
-      } catch (e) {
-        if (retries === this.maxRetries - 1) {
-          Logger.log('ERROR', 'api_request_failed', url + ' - ' + e.toString());
-          throw e;
-        }
-        retries++;
-        Utilities.sleep(Math.pow(2, retries) * 1000);
+    var delay = Math.min(policy.maxDelayMs, policy.baseDelayMs * Math.pow(2, attempt - 1));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+  
+  function getHeader(response, name) {
+    var headers = response.getHeaders ? response.getHeaders() || {} : {};
+    var key = Object.keys(headers).filter(function(header) {
+      return header.toLowerCase() === name.toLowerCase();
+    })[0];
+    return key ? headers[key] : null;
+  }
+  
+  /**
+   * Cache key prefix of this client's API key and base URL
+   */
+  function getAccountKey(client) {
+    return Utilities.base64EncodeWebSafe(
+      Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, client.baseUrlV3 + ' ' + client.apiKey)).substring(0, 16);
+  }
+  
+  function getGenerationKey(client, resource) {
+    return RESPONSE_CACHE_PREFIX + resource + '_' + getAccountKey(client);
+  }
+  
+  /**
+   * `fetch()` through the response cache when it is on for `resource`.
+   * `options.fresh` skips the lookup but still caches the new response.
+   */
+  function getCachedResponse(client, resource, id, options, fetch) {
+    if (!client.cacheTtls || !client.cacheTtls[resource]) {
+      return fetch();
+    }
+    
+    var cache = CacheService.getUserCache();
+    var generationKey = getGenerationKey(client, resource);
+    var key = generationKey + '_' + (cache.get(generationKey) || '0') + '_' + id;
+    
+    if (!(options && options.fresh)) {
+      var cached = cache.get(key);
+      if (cached) {
+        cacheStats.hits++;
+        Logger.log('INFO', 'cache_hit', resource + ' ' + id + ' ' + describeCacheStats());
+        return JSON.parse(cached);
       }
+      cacheStats.misses++;
+      Logger.log('INFO', 'cache_miss', resource + ' ' + id + ' ' + describeCacheStats());
+    }
+    
+    var response = fetch();
+    try {
+      cache.put(key, JSON.stringify(response), client.cacheTtls[resource]);
+    } catch (e) {
+      // Larger than a cache entry; not cached
+    }
+    return response;
+  }
+  
+  function describeCacheStats() {
+    return '(' + cacheStats.hits + ' hit' + (cacheStats.hits === 1 ? '' : 's') + ', ' +
+      cacheStats.misses + ' miss' + (cacheStats.misses === 1 ? '' : 'es') + ' this execution)';
+  }
+  
+  /**
+   * Drop one cached response, or every cached response of `resource` when
+   * `id` is omitted. No-op when the cache is off.
+   */
+  ObservePointClient.prototype.invalidateCache = function(resource, id) {
+    if (!this.cacheTtls) {
+      return;
     }
+    
+    var cache = CacheService.getUserCache();
+    var generationKey = getGenerationKey(this, resource);
+    
+    if (id !== undefined && id !== null) {
+      cache.remove(generationKey + '_' + (cache.get(generationKey) || '0') + '_' + id);
+    } else {
+      cache.put(generationKey, String(new Date().getTime()), CACHE_GENERATION_TTL_SECONDS);
+    }
+    Logger.log('INFO', 'cache_invalidate', resource + (id !== undefined && id !== null ? ' ' + id : ' (all)'));
   };
   
-  ObservePointClient.prototype.getSavedReport = function(reportId) {
+  /**
+   * Saved report definition. Pass { fresh: true } to bypass the response cache.
+   */
+  ObservePointClient.prototype.getSavedReport = function(reportId, options) {
+    var self = this;
     var url = this.baseUrlV3 + '/reports/grid/saved/' + reportId;
-    Logger.log('INFO', 'fetch_saved_report', 'Fetching saved report ' + reportId);
-    return this.makeRequest(url, { method: 'get' });
+    
+    return getCachedResponse(this, 'savedReport', reportId, options, function() {
+      Logger.log('INFO', 'fetch_saved_report', 'Fetching saved report ' + reportId);
+      return self.makeRequest(url, { method: 'get' });
+    });
   };
   
-  ObservePointClient.prototype.fetchGridData = function(entityType, queryDefinition, page, rowsPerPage) {
-    page = page || 0;
-    rowsPerPage = rowsPerPage || 1000;
+  ObservePointClient.prototype.createSavedReport = function(savedReport) {
+    var url = this.baseUrlV3 + '/reports/grid/saved';
     
-    var url = this.baseUrlV3 + '/reports/grid/' + entityType;
-    
-    var payload = JSON.parse(JSON.stringify(queryDefinition));
-    payload.pagination = {
-      page: page,
-      rows: rowsPerPage
+    var options = {
+      method: 'post',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      payload: JSON.stringify(savedReport)
     };
     
+    if (savedReport.gridEntityType && savedReport.queryDefinition) {
+      this.assertValidQuery(savedReport.gridEntityType, savedReport.queryDefinition);
+    }
+    
+    Logger.log('INFO', 'create_saved_report', 'Creating saved report "' + savedReport.name + '"');
+    var result = this.makeRequest(url, options);
+    this.invalidateCache('savedReport');
+    return result;
+  };
+  
+  /**
+   * Saved grid reports in the account. Depending on the API version entries
+   * may omit the queryDefinition; getSavedReport returns the full report.
+   * Pass { fresh: true } to bypass the response cache.
+   */
+  ObservePointClient.prototype.listSavedReports = function(options) {
+    var self = this;
+    var url = this.baseUrlV3 + '/reports/grid/saved';
+    
+    return getCachedResponse(this, 'savedReport', 'list', options, function() {
+      Logger.log('INFO', 'list_saved_reports', 'Listing saved reports');
+      var result = self.makeRequest(url, { method: 'get' });
+      return Array.isArray(result) ? result : (result && (result.savedReports || result.items || result.reports)) || [];
+    });
+  };
+  
+  /**
+   * Saved reports matching `criteria`: `text` (in the name or ID), `gridEntityType`,
+   * `visibility` and `isFavorite`; omitted criteria match everything
+   */
+  ObservePointClient.prototype.searchSavedReports = function(criteria) {
+    criteria = criteria || {};
+    var text = String(criteria.text || '').toLowerCase();
+    
+    return this.listSavedReports().filter(function(report) {
+      return (!text || String(report.name || '').toLowerCase().indexOf(text) !== -1 || String(report.id) === text) &&
+        (!criteria.gridEntityType || report.gridEntityType === criteria.gridEntityType) &&
+        (!criteria.visibility || report.visibility === criteria.visibility) &&
+        (criteria.isFavorite === undefined || !!report.isFavorite === !!criteria.isFavorite);
+    });
+  };
+  
+  /**
+   * Replace a saved report (the full report, as returned by getSavedReport)
+   */
+  ObservePointClient.prototype.updateSavedReport = function(reportId, savedReport) {
+    var url = this.baseUrlV3 + '/reports/grid/saved/' + reportId;
+    
     var options = {
-      method: 'post',
+      method: 'put',
       headers: {
         'Content-Type': 'application/json'
       },
-      payload: JSON.stringify(payload)
+      payload: JSON.stringify(savedReport)
     };
     
+    if (savedReport.gridEntityType && savedReport.queryDefinition) {
+      this.assertValidQuery(savedReport.gridEntityType, savedReport.queryDefinition);
+    }
+    
+    Logger.log('INFO', 'update_saved_report', 'Updating saved report ' + reportId);
+    var result = this.makeRequest(url, options);
+    this.invalidateCache('savedReport');
+    return result;
+  };
+  
+  ObservePointClient.prototype.deleteSavedReport = function(reportId) {
+    var url = this.baseUrlV3 + '/reports/grid/saved/' + reportId;
+    
+    Logger.log('INFO', 'delete_saved_report', 'Deleting saved report ' + reportId);
+    var result = this.makeRequest(url, { method: 'delete' });
+    this.invalidateCache('savedReport');
+    return result;
+  };
+  
+  /**
+   * Copy a saved report under a new name ("Copy of <name>" by default)
+   */
+  ObservePointClient.prototype.duplicateSavedReport = function(reportId, name) {
+    var report = this.getSavedReport(reportId, { fresh: true });
+    
+    return this.createSavedReport({
+      name: name || 'Copy of ' + report.name,
+      isFavorite: false,
+      visibility: report.visibility || 'private',
+      queryDefinition: report.queryDefinition,
+      gridEntityType: report.gridEntityType,
+      displayMetadata: report.displayMetadata || {}
+    });
+  };
+  
+  /**
+   * Column catalog of a grid entity type: { gridEntityType, columns } where
+   * columns maps column IDs to { columnId, label, type, operators, groupable,
+   * aggregated }. Returns null when the catalog is off (see columnCatalog)
+   * or cannot be loaded.
+   */
+  ObservePointClient.prototype.getGridColumns = function(entityType) {
+    if (!this.columnCatalog) {
+      return null;
+    }
+    
+    var cacheKey = COLUMN_CATALOG_CACHE_PREFIX + entityType + '_' + getAccountKey(this);
+    
+    if (columnCatalogs.hasOwnProperty(cacheKey)) {
+      return columnCatalogs[cacheKey];
+    }
+    
+    var cache = CacheService.getUserCache();
+    var cached = cache.get(cacheKey);
+    if (cached) {
+      columnCatalogs[cacheKey] = JSON.parse(cached);
+      return columnCatalogs[cacheKey];
+    }
+    
+    var catalog = null;
+    try {
+      Logger.log('INFO', 'fetch_grid_columns', 'Fetching column catalog for ' + entityType);
+      var response = this.makeRequest(this.baseUrlV3 + '/reports/grid/' + entityType + '/columns', { method: 'get', allowNotFound: true });
+      if (response === null) {
+        Logger.log('INFO', 'grid_columns_unavailable', 'No column catalog for ' + entityType + ' on this account, queries are sent unchecked');
+      } else {
+        catalog = normalizeColumnCatalog(entityType, response);
+      }
+    } catch (e) {
+      Logger.log('WARN', 'grid_columns_unavailable', 'Column catalog for ' + entityType + ' unavailable, queries are sent unchecked: ' + e.message);
+    }
+    
+    columnCatalogs[cacheKey] = catalog;
+    try {
+      // An unavailable catalog is remembered for a shorter time before retrying
+      cache.put(cacheKey, JSON.stringify(catalog), catalog ? COLUMN_CATALOG_TTL_SECONDS : COLUMN_CATALOG_RETRY_SECONDS);
+    } catch (e) {
+      // Larger than a cache entry; kept for this execution only
+    }
+    
+    return catalog;
+  };
+  
+  /**
+   * Problems in a query definition according to the column catalog: unknown
+   * columns, operators a column does not support, arguments of the wrong type
+   * and columns missing from a grouped query. Empty when valid or when the
+   * catalog is unavailable.
+   */
+  ObservePointClient.prototype.validateQueryDefinition = function(entityType, queryDefinition) {
+    var catalog = this.getGridColumns(entityType);
+    return catalog ? checkQueryDefinition(catalog, queryDefinition) : [];
+  };
+  
+  ObservePointClient.prototype.assertValidQuery = function(entityType, queryDefinition) {
+    if (!this.validateQueries) {
+      return;
+    }
+    
+    var errors = this.validateQueryDefinition(entityType, queryDefinition);
+    if (errors.length === 0) {
+      return;
+    }
+    
+    // The catalog's shape is not documented, so its findings only block requests when asked to
+    if (this.validateQueries !== true) {
+      Logger.log('WARN', 'grid_query_check', entityType + ' query sent despite column catalog problems: ' + errors.join('; '));
+      return;
+    }
+    
+    Logger.log('ERROR', 'invalid_grid_query', entityType + ': ' + errors.join('; '));
+    throw new Error('Invalid ' + entityType + ' query: ' + errors.join('; '));
+  };
+  
+  /**
+   * Fetch one page of a Grid query. The Grid API takes page/size at the
+   * top level of the query definition.
+   */
+  ObservePointClient.prototype.fetchGridData = function(entityType, queryDefinition, page, rowsPerPage) {
+    page = page || 0;
+    
+    this.assertValidQuery(entityType, queryDefinition);
+    
+    var request = buildGridRequest(this, entityType, queryDefinition, page, rowsPerPage);
+    
     Logger.log('INFO', 'fetch_grid_page', 'Fetching page ' + page + ' of ' + entityType);
-    return this.makeRequest(url, options);
+    // A Grid query is a POST that only reads
+    request.options.retryable = true;
+    return this.makeRequest(request.url, request.options);
+  };
+  
+  /**
+   * Fetch several pages of a Grid query, in the order of `pages`. Pages are
+   * requested concurrently (transport.fetchAll) in batches of `client.parallelism`,
+   * which starts at maxParallelRequests, is halved whenever a batch is rate
+   * limited and grows back by one after each batch that is not. Failed pages are retried per the retry policy; the first
+   * page that cannot be fetched throws.
+   */
+  ObservePointClient.prototype.fetchGridPages = function(entityType, queryDefinition, pages, rowsPerPage) {
+    var self = this;
+    var policy = this.retryPolicy;
+    var results = new Array(pages.length);
+    var pending = pages.map(function(page, index) {
+      return { index: index, page: page, attempts: [], startedAt: null };
+    });
+    
+    this.assertValidQuery(entityType, queryDefinition);
+    
+    while (pending.length > 0) {
+      var batch = pending.splice(0, this.parallelism);
+      var requests = batch.map(function(item) {
+        return buildGridRequest(self, entityType, queryDefinition, item.page, rowsPerPage);
+      });
+      
+      Logger.log('INFO', 'fetch_grid_pages', 'Fetching page' + (batch.length === 1 ? ' ' : 's ') + batch.map(function(item) { return item.page; }).join(', ') + ' of ' + entityType);
+      
+      var batchStartedAt = new Date().getTime();
+      var outcome = fetchBatch(this, requests);
+      var retry = [];
+      var waitMs = 0;
+      var rateLimited = false;
+      
+      batch.forEach(function(item, i) {
+        // Each page's retry budget runs from its own first attempt
+        item.startedAt = item.startedAt || batchStartedAt;
+        var response = outcome.responses ? outcome.responses[i] : null;
+        var code = response ? response.getResponseCode() : null;
+        var record = {
+          attempt: item.attempts.length + 1,
+          status: code,
+          error: response ? null : String(outcome.errors[i]),
+          elapsedMs: new Date().getTime() - item.startedAt
+        };
+        item.attempts.push(record);
+        
+        if (response && code < 400) {
+          var body = response.getContentText();
+          results[item.index] = body ? JSON.parse(body) : null;
+          return;
+        }
+        
+        var error = response
+          ? ObservePointErrors.fromResponse('post', requests[i].url, response)
+          : ObservePointErrors.fromException('post', requests[i].url, outcome.errors[i]);
+        error.attempts = item.attempts;
+        
+        var delay = isRetryable(policy, code, true) ? getRetryDelay(policy, record.attempt, response) : null;
+        
+        if (delay === null || record.attempt >= policy.maxAttempts || record.elapsedMs + delay > policy.maxElapsedMs) {
+          self.lastAttempts = item.attempts;
+          Logger.log('ERROR', 'api_request_failed', 'Page ' + item.page + ' of ' + entityType + ' - ' + error.toString() + ' (' + record.attempt + ' attempt' + (record.attempt === 1 ? '' : 's') + ')');
+          throw error;
+        }
+        
+        record.waitMs = delay;
+        rateLimited = rateLimited || code === 429;
+        waitMs = Math.max(waitMs, delay);
+        retry.push(item);
+      });
+      
+      if (rateLimited && this.parallelism > 1) {
+        this.parallelism = Math.max(1, Math.floor(this.parallelism / 2));
+        Logger.log('WARN', 'rate_limit', 'Rate limited, fetching ' + this.parallelism + ' page' + (this.parallelism === 1 ? '' : 's') + ' at a time');
+      } else if (!rateLimited && this.parallelism < this.maxParallelRequests) {
+        // Recover one step per batch that was not rate limited
+        this.parallelism++;
+      }
+      
+      if (retry.length > 0) {
+        Logger.log('WARN', rateLimited ? 'rate_limit' : 'api_retry', 'Retrying page' + (retry.length === 1 ? ' ' : 's ') + retry.map(function(item) { return item.page; }).join(', ') + ' in ' + waitMs + 'ms');
+        pending = retry.concat(pending);
+        Utilities.sleep(waitMs);
+      }
+    }
+    
+    return results;
+  };
+  
+  /**
+   * URL and options of a Grid page request. The Grid API takes page/size at
+   * the top level of the query definition.
+   */
+  function buildGridRequest(client, entityType, queryDefinition, page, rowsPerPage) {
+    var payload = JSON.parse(JSON.stringify(queryDefinition));
+    payload.page = page;
+    payload.size = rowsPerPage || 1000;
+    
+    return {
+      url: client.baseUrlV3 + '/reports/grid/' + entityType,
+      options: addRequestHeaders(client, {
+        method: 'post',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        payload: JSON.stringify(payload)
+      })
+    };
+  }
+  
+  /**
+   * Send requests with transport.fetchAll, or one by one for transports
+   * without it. Returns { responses } or, when fetchAll throws (it fails the
+   * whole batch on a network error), { responses: null, errors }.
+   */
+  function fetchBatch(client, requests) {
+    var transport = client.transport;
+    
+    if (typeof transport.fetchAll !== 'function') {
+      var errors = [];
+      var responses = requests.map(function(request, i) {
+        try {
+          return transport.fetch(request.url, request.options);
+        } catch (e) {
+          errors[i] = e;
+          return null;
+        }
+      });
+      return { responses: responses, errors: errors };
+    }
+    
+    try {
+      return {
+        responses: transport.fetchAll(requests.map(function(request) {
+          var fetchRequest = { url: request.url };
+          Object.keys(request.options).forEach(function(key) {
+            fetchRequest[key] = request.options[key];
+          });
+          return fetchRequest;
+        })),
+        errors: []
+      };
+    } catch (e) {
+      return {
+        responses: null,
+        errors: requests.map(function() { return e; })
+      };
+    }
+  }
+  
+  /**
+   * Fetch one page of a GridQuery (see GridQuery.js)
+   */
+  ObservePointClient.prototype.fetchGridQuery = function(query, page, rowsPerPage) {
+    var built = query.build();
+    return this.fetchGridData(built.gridEntityType, built.queryDefinition, page, rowsPerPage);
   };
   
   ObservePointClient.prototype.fetchAllGridData = function(entityType, queryDefinition, rowsPerPage, maxPages) {
@@ -134,10 +757,33 @@ var ObservePointClient = (function() {
     };
   };
   
-  ObservePointClient.prototype.getAudit = function(auditId) {
+  /**
+   * Audit metadata. Pass { fresh: true } to bypass the response cache, e.g.
+   * before modifying the audit and sending it back with updateAudit.
+   */
+  ObservePointClient.prototype.getAudit = function(auditId, options) {
+    var self = this;
     var url = this.baseUrlV2 + '/web-audits/' + auditId;
-    Logger.log('INFO', 'fetch_audit', 'Fetching audit ' + auditId);
-    return this.makeRequest(url, { method: 'get' });
+    
+    return getCachedResponse(this, 'audit', auditId, options, function() {
+      Logger.log('INFO', 'fetch_audit', 'Fetching audit ' + auditId);
+      return self.makeRequest(url, { method: 'get' });
+    });
+  };
+  
+  ObservePointClient.prototype.createAudit = function(audit) {
+    var url = this.baseUrlV2 + '/web-audits';
+    
+    var options = {
+      method: 'post',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      payload: JSON.stringify(audit)
+    };
+    
+    Logger.log('INFO', 'create_audit', 'Creating audit "' + audit.name + '"');
+    return this.makeRequest(url, options);
   };
   
   ObservePointClient.prototype.updateAudit = function(auditId, updates) {
@@ -152,7 +798,9 @@ var ObservePointClient = (function() {
     };
     
     Logger.log('INFO', 'update_audit', 'Updating audit ' + auditId);
-    return this.makeRequest(url, options);
+    var result = this.makeRequest(url, options);
+    this.invalidateCache('audit', auditId);
+    return result;
   };
   
   ObservePointClient.prototype.runAudit = function(auditId) {
@@ -212,5 +860,125 @@ var ObservePointClient = (function() {
     });
   };
   
+  /**
+   * Catalog from the columns endpoint, which lists columns either as an array
+   * or under `columns`; operators are names or { name } / { operator } objects.
+   * A response without columns is treated as an unavailable catalog.
+   */
+  function normalizeColumnCatalog(entityType, response) {
+    var list = Array.isArray(response) ? response : (response && (response.columns || response.items)) || [];
+    var columns = {};
+    
+    list.forEach(function(column) {
+      var columnId = column.columnId || column.id;
+      if (!columnId) {
+        return;
+      }
+      
+      columns[columnId] = {
+        columnId: columnId,
+        label: column.label || column.title || columnId,
+        type: String(column.type || column.dataType || '').toLowerCase(),
+        operators: (column.operators || column.supportedOperators || column.filterOperators || []).map(function(operator) {
+          return typeof operator === 'string' ? operator : (operator.name || operator.operator || operator.id);
+        }),
+        groupable: column.groupable !== false && column.isGroupable !== false,
+        aggregated: !!(column.aggregated || column.isAggregate || column.aggregate)
+      };
+    });
+    
+    if (Object.keys(columns).length === 0) {
+      throw new Error('no columns in the response');
+    }
+    
+    return { gridEntityType: entityType, columns: columns };
+  }
+  
+  function checkQueryDefinition(catalog, queryDefinition) {
+    var errors = [];
+    var columns = catalog.columns;
+    var selected = queryDefinition.columns || [];
+    var conditions = queryDefinition.filters && queryDefinition.filters.conditions || [];
+    
+    function knownColumn(columnId, where) {
+      if (columns.hasOwnProperty(columnId)) {
+        return columns[columnId];
+      }
+      
+      var suggestion = Object.keys(columns).filter(function(id) {
+        return id.indexOf(columnId) !== -1 || columnId.indexOf(id) !== -1;
+      })[0];
+      errors.push('Unknown ' + catalog.gridEntityType + ' column ' + columnId + ' in ' + where + (suggestion ? ' (did you mean ' + suggestion + '?)' : ''));
+      return null;
+    }
+    
+    selected.forEach(function(column) {
+      var info = knownColumn(column.columnId, 'columns');
+      if (info && column.groupBy && !info.groupable) {
+        errors.push('Column ' + column.columnId + ' cannot be grouped by');
+      }
+    });
+    
+    conditions.forEach(function(condition) {
+      var columnId = condition.filteredColumn && condition.filteredColumn.columnId;
+      var info = knownColumn(columnId, 'filters');
+      if (!info) {
+        return;
+      }
+      
+      if (info.operators.length > 0 && info.operators.indexOf(condition.operator) === -1) {
+        errors.push('Operator ' + condition.operator + ' is not supported by ' + columnId + ' (use ' + info.operators.join(', ') + ')');
+      }
+      
+      var argError = checkConditionArgs(condition.operator, condition.args || []);
+      if (argError) {
+        errors.push(columnId + ' ' + condition.operator + ': ' + argError);
+      }
+    });
+    
+    (queryDefinition.sortBy || []).forEach(function(sort) {
+      knownColumn(sort.columnId, 'sortBy');
+    });
+    
+    // Once any column is grouped, the others must be grouped too or be aggregates
+    var grouped = selected.filter(function(column) { return column.groupBy; });
+    if (grouped.length > 0) {
+      selected.forEach(function(column) {
+        var info = columns[column.columnId];
+        if (info && !column.groupBy && !column.aggregation && !info.aggregated) {
+          errors.push('Column ' + column.columnId + ' needs groupBy: true (the query groups by ' +
+            grouped.map(function(c) { return c.columnId; }).join(', ') + ')');
+        }
+      });
+    }
+    
+    return errors;
+  }
+  
+  function checkConditionArgs(operator, args) {
+    if (/_in$/.test(operator) && args.length === 0) {
+      return 'needs at least one argument';
+    }
+    
+    var type = operator.split('_')[0];
+    var bad = args.filter(function(arg) {
+      if (type === 'integer') {
+        return typeof arg !== 'number' || Math.floor(arg) !== arg;
+      }
+      if (type === 'number') {
+        return typeof arg !== 'number';
+      }
+      if (type === 'date') {
+        return isNaN(new Date(arg).getTime());
+      }
+      if (type === 'string') {
+        return typeof arg !== 'string';
+      }
+      return false;
+    });
+    
+    return bad.length > 0 ? 'expects ' + type + ' arguments, got ' + JSON.stringify(bad[0]) : null;
+  }
+  
   return ObservePointClient;
 })();
@@ -0,0 +1,241 @@
+/**
+ * ObservePoint API Errors
+ * 
+ * Error types thrown by ObservePointClient, so callers can tell an invalid
+ * API key from a missing report or a flaky server:
+ * 
+ *   try {
+ *     client.getSavedReport(reportId);
+ *   } catch (e) {
+ *     if (e instanceof ObservePointErrors.NotFoundError) { ... }
+ *     ui.alert(ObservePointErrors.describe(e));
+ *   }
+ * 
+ * Every error carries `status` (null for network failures), `endpoint`
+ * ('GET /v3/reports/grid/saved/123'), `requestId` (when the API sent one),
+ * `responseText` and `userMessage`, an actionable sentence for the UI.
+ * The message is the user message followed by those details.
+ * ValidationError adds `fieldErrors` ([{ field, message }]) and
+ * RateLimitError `retryAfterMs`.
+ */
+
+var ObservePointErrors = (function() {
+  
+  var REQUEST_ID_HEADERS = ['x-request-id', 'x-amzn-requestid', 'x-correlation-id'];
+  
+  function ApiError(userMessage, details) {
+    details = details || {};
+    this.userMessage = userMessage;
+    this.status = details.status || null;
+    this.endpoint = details.endpoint || null;
+    this.requestId = details.requestId || null;
+    this.responseText = details.responseText || '';
+    this.message = userMessage + describeDetails(this);
+    this.stack = new Error(this.message).stack;
+  }
+  ApiError.prototype = Object.create(Error.prototype);
+  ApiError.prototype.constructor = ApiError;
+  ApiError.prototype.name = 'ObservePointApiError';
+  
+  function defineError(name) {
+    function TypedError(userMessage, details) {
+      ApiError.call(this, userMessage, details);
+    }
+    TypedError.prototype = Object.create(ApiError.prototype);
+    TypedError.prototype.constructor = TypedError;
+    TypedError.prototype.name = name;
+    return TypedError;
+  }
+  
+  var AuthenticationError = defineError('AuthenticationError');
+  var PermissionError = defineError('PermissionError');
+  var NotFoundError = defineError('NotFoundError');
+  var ValidationError = defineError('ValidationError');
+  var RateLimitError = defineError('RateLimitError');
+  var ServerError = defineError('ServerError');
+  var TimeoutError = defineError('TimeoutError');
+  
+  /**
+   * Error for an HTTP error response
+   */
+  function fromResponse(method, url, response) {
+    var code = response.getResponseCode();
+    var text = response.getContentText();
+    var body = parseBody(text);
+    var headers = response.getHeaders ? response.getHeaders() || {} : {};
+    var details = {
+      status: code,
+      endpoint: describeEndpoint(method, url),
+      requestId: getRequestId(headers, body),
+      responseText: text
+    };
+    var apiMessage = body && (body.message || body.error || body.errorMessage);
+    
+    if (code === 401) {
+      return new AuthenticationError('Your ObservePoint API key is invalid or expired. Check OP_API_KEY in the config sheet.', details);
+    }
+    
+    if (code === 403) {
+      return new PermissionError('Your ObservePoint API key does not have access to ' + describeResource(url) + '.', details);
+    }
+    
+    if (code === 404) {
+      return new NotFoundError(capitalize(describeResource(url)) + ' was not found. Check the ID in the config sheet.', details);
+    }
+    
+    if (code === 400 || code === 422) {
+      var fieldErrors = getFieldErrors(body);
+      var error = new ValidationError('ObservePoint rejected the request: ' + (fieldErrors.length > 0
+        ? fieldErrors.map(function(f) { return (f.field ? f.field + ': ' : '') + f.message; }).join('; ')
+        : apiMessage || text || 'invalid request'), details);
+      error.fieldErrors = fieldErrors;
+      return error;
+    }
+    
+    if (code === 429) {
+      var rateLimitError = new RateLimitError('ObservePoint is rate limiting requests. Wait a minute and try again.', details);
+      rateLimitError.retryAfterMs = getRetryAfterMs(headers);
+      return rateLimitError;
+    }
+    
+    if (code === 408 || code === 504) {
+      return new TimeoutError('The ObservePoint request timed out. Try again, or fetch less data at once.', details);
+    }
+    
+    if (code >= 500) {
+      return new ServerError('ObservePoint is having problems right now. Try again in a few minutes.', details);
+    }
+    
+    return new ApiError('ObservePoint API error' + (apiMessage ? ': ' + apiMessage : ' (HTTP ' + code + ')'), details);
+  }
+  
+  /**
+   * Error for a request that got no response (UrlFetchApp threw)
+   */
+  function fromException(method, url, exception) {
+    var details = { endpoint: describeEndpoint(method, url), responseText: String(exception && exception.message || exception) };
+    
+    if (/time(d)? ?out/i.test(details.responseText)) {
+      return new TimeoutError('The ObservePoint request timed out. Try again, or fetch less data at once.', details);
+    }
+    
+    return new ApiError('Could not reach ObservePoint: ' + details.responseText, details);
+  }
+  
+  /**
+   * Actionable message for any error (the user message of API errors)
+   */
+  function describe(error) {
+    if (error instanceof ApiError) {
+      return error.userMessage;
+    }
+    return error && error.message ? error.message : String(error);
+  }
+  
+  function describeDetails(error) {
+    var parts = [];
+    if (error.status) {
+      parts.push('HTTP ' + error.status);
+    }
+    if (error.endpoint) {
+      parts.push(error.endpoint);
+    }
+    if (error.requestId) {
+      parts.push('request ' + error.requestId);
+    }
+    return parts.length > 0 ? ' (' + parts.join(', ') + ')' : '';
+  }
+  
+  function describeEndpoint(method, url) {
+    return String(method || 'get').toUpperCase() + ' ' + String(url).replace(/^https?:\/\/[^\/]+/, '');
+  }
+  
+  function describeResource(url) {
+    var savedReport = url.match(/\/reports\/grid\/saved\/(\d+)/);
+    if (savedReport) {
+      return 'saved report ' + savedReport[1];
+    }
+    
+    var audit = url.match(/\/web-audits\/(\d+)/);
+    if (audit) {
+      return 'audit ' + audit[1];
+    }
+    
+    return 'the requested ObservePoint resource';
+  }
+  
+  function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.substring(1);
+  }
+  
+  function parseBody(text) {
+    try {
+      return text ? JSON.parse(text) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  
+  function getHeader(headers, name) {
+    var key = Object.keys(headers).filter(function(header) {
+      return header.toLowerCase() === name;
+    })[0];
+    return key ? headers[key] : null;
+  }
+  
+  function getRequestId(headers, body) {
+    for (var i = 0; i < REQUEST_ID_HEADERS.length; i++) {
+      var value = getHeader(headers, REQUEST_ID_HEADERS[i]);
+      if (value) {
+        return value;
+      }
+    }
+    return body && body.requestId || null;
+  }
+  
+  function getRetryAfterMs(headers) {
+    var seconds = Number(getHeader(headers, 'retry-after'));
+    return isNaN(seconds) || seconds <= 0 ? null : seconds * 1000;
+  }
+  
+  /**
+   * Field errors as [{ field, message }] from { errors: [...] } or
+   * { fieldErrors: { field: message } } bodies
+   */
+  function getFieldErrors(body) {
+    if (!body) {
+      return [];
+    }
+    
+    if (Array.isArray(body.errors)) {
+      return body.errors.map(function(error) {
+        return typeof error === 'string'
+          ? { field: null, message: error }
+          : { field: error.field || error.property || error.path || null, message: error.message || error.defaultMessage || JSON.stringify(error) };
+      });
+    }
+    
+    var fields = body.fieldErrors || body.validationErrors;
+    if (fields && typeof fields === 'object') {
+      return Object.keys(fields).map(function(field) {
+        return { field: field, message: String(fields[field]) };
+      });
+    }
+    
+    return [];
+  }
+  
+  return {
+    ApiError: ApiError,
+    AuthenticationError: AuthenticationError,
+    PermissionError: PermissionError,
+    NotFoundError: NotFoundError,
+    ValidationError: ValidationError,
+    RateLimitError: RateLimitError,
+    ServerError: ServerError,
+    TimeoutError: TimeoutError,
+    fromResponse: fromResponse,
+    fromException: fromException,
+    describe: describe
+  };
+})();
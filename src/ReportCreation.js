@@ -14,86 +14,13 @@ function createOrGetPrimaryReport(primaryAudit, config) {
   
   const reportName = primaryAudit.name + ' - all external links';
   
-  const queryDefinition = {
-    size: 1000,
-    page: 0,
-    filters: {
-      allAccounts: false,
-      conditions: [
-        {
-          negated: false,
-          operator: 'integer_in',
-          filteredColumn: {
-            columnId: 'IS_MOST_RECENT_PAGE_SCAN'
-          },
-          args: [1]
-        },
-        {
-          negated: false,
-          operator: 'integer_in',
-          filteredColumn: {
-            columnId: 'IS_LINK_EXTERNAL'
-          },
-          args: [1]
-        },
-        {
-          negated: false,
-          operator: 'integer_in',
-          filteredColumn: {
-            columnId: 'AUDIT_ID'
-          },
-          args: [parseInt(primaryAudit.id)]
-        }
-      ],
-      conditionMatchMode: 'all'
-    },
-    columns: [
-      {
-        groupBy: true,
-        columnId: 'FINAL_PAGE_URL'
-      },
-      {
-        groupBy: true,
-        columnId: 'LINK_URL'
-      },
-      {
-        groupBy: true,
-        columnId: 'LINK_TEXT'
-      },
-      {
-        groupBy: true,
-        columnId: 'LINK_OUTER_HTML'
-      }
-    ],
-    sortBy: []
-  };
-  
-  const payload = {
-    name: reportName,
-    isFavorite: false,
-    visibility: 'private',
-    queryDefinition: queryDefinition,
-    gridEntityType: 'links',
-    displayMetadata: {}
-  };
-  
-  const url = config.BASE_URL + '/v3/reports/grid/saved';
-  const options = {
-    method: 'post',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options);
-  if (response.getResponseCode() >= 300) {
-    throw new Error('Failed to create primary report: ' + response.getContentText());
-  }
+  const query = GridQuery.entity('links')
+    .where('IS_MOST_RECENT_PAGE_SCAN').isTrue()
+    .where('IS_LINK_EXTERNAL').isTrue()
+    .where('AUDIT_ID').in([parseInt(primaryAudit.id)])
+    .groupBy('FINAL_PAGE_URL', 'LINK_URL', 'LINK_TEXT', 'LINK_OUTER_HTML');
   
-  const result = JSON.parse(response.getContentText());
+  const result = getApiClient(config).createSavedReport(query.toSavedReport(reportName));
   log('INFO', 'report_created', 'Primary report created with ID: ' + result.id);
   
   return { id: result.id, created: true };
@@ -110,87 +37,14 @@ function createOrGetSecondaryReport(primaryAudit, secondaryAuditId, config) {
   
   const reportName = primaryAudit.name + ' - only broken external links';
   
-  const queryDefinition = {
-    size: 1000,
-    page: 0,
-    filters: {
-      allAccounts: false,
-      conditions: [
-        {
-          negated: false,
-          operator: 'integer_in',
-          filteredColumn: {
-            columnId: 'IS_MOST_RECENT_RUN'
-          },
-          args: [1]
-        },
-        {
-          negated: false,
-          operator: 'integer_in',
-          filteredColumn: {
-            columnId: 'AUDIT_ID'
-          },
-          args: [parseInt(secondaryAudit.id)]
-        },
-        {
-          negated: false,
-          operator: 'integer_in',
-          filteredColumn: {
-            columnId: 'FINAL_PAGE_STATUS_CODE_TYPE'
-          },
-          args: [3]
-        },
-        {
-          negated: true,
-          operator: 'integer_in',
-          filteredColumn: {
-            columnId: 'FINAL_PAGE_STATUS_CODE'
-          },
-          args: [403, 429]
-        }
-      ],
-      conditionMatchMode: 'all'
-    },
-    columns: [
-      {
-        columnId: 'INITIAL_PAGE_URL'
-      },
-      {
-        columnId: 'FINAL_PAGE_URL'
-      },
-      {
-        columnId: 'FINAL_PAGE_STATUS_CODE'
-      }
-    ],
-    sortBy: []
-  };
-  
-  const payload = {
-    name: reportName,
-    isFavorite: false,
-    visibility: 'private',
-    queryDefinition: queryDefinition,
-    gridEntityType: 'pages',
-    displayMetadata: {}
-  };
+  const query = GridQuery.entity('pages')
+    .where('IS_MOST_RECENT_RUN').isTrue()
+    .where('AUDIT_ID').in([parseInt(secondaryAudit.id)])
+    .where('FINAL_PAGE_STATUS_CODE_TYPE').in([3])
+    .not().where('FINAL_PAGE_STATUS_CODE').in([403, 429])
+    .columns('INITIAL_PAGE_URL', 'FINAL_PAGE_URL', 'FINAL_PAGE_STATUS_CODE');
   
-  const url = config.BASE_URL + '/v3/reports/grid/saved';
-  const options = {
-    method: 'post',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(payload),
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options);
-  if (response.getResponseCode() >= 300) {
-    throw new Error('Failed to create secondary report: ' + response.getContentText());
-  }
-  
-  const result = JSON.parse(response.getContentText());
+  const result = getApiClient(config).createSavedReport(query.toSavedReport(reportName));
   log('INFO', 'report_created', 'Secondary report created with ID: ' + result.id);
   
   return { id: result.id, created: true };
@@ -227,23 +81,7 @@ function createOrGetSecondaryAudit(primaryAudit, config) {
     recipients: primaryAudit.recipients || []
   };
   
-  const url = config.BASE_URL + '/v2/web-audits';
-  const options = {
-    method: 'post',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(secondaryAuditPayload),
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options);
-  if (response.getResponseCode() >= 300) {
-    throw new Error('Failed to create secondary audit: ' + response.getContentText());
-  }
-  
-  const result = JSON.parse(response.getContentText());
+  const result = getApiClient(config).createAudit(secondaryAuditPayload);
   log('INFO', 'audit_created', 'Secondary audit created with ID: ' + result.id);
   
   return { id: result.id, created: true };
@@ -252,48 +90,20 @@ function createOrGetSecondaryAudit(primaryAudit, config) {
 function configureWebhooks(primaryAuditId, secondaryAuditId, config) {
   log('INFO', 'webhook_config', 'Configuring webhooks for audits');
   
-  const primaryWebhookUrl = config.WEBHOOK_BASE_URL + '?stage=primary';
-  const secondaryWebhookUrl = config.WEBHOOK_BASE_URL + '?stage=secondary';
-  
-  const primaryAudit = fetchAuditDetails(primaryAuditId, config);
-  primaryAudit.options.webHookUrl = primaryWebhookUrl;
+  const primaryWebhookUrl = getWebhookUrl(config, 'primary');
+  const secondaryWebhookUrl = getWebhookUrl(config, 'secondary');
   
-  const primaryUpdateUrl = config.BASE_URL + '/v2/web-audits/' + primaryAuditId;
-  const primaryOptions = {
-    method: 'put',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(primaryAudit),
-    muteHttpExceptions: true
-  };
+  const client = getApiClient(config);
   
-  const primaryResponse = UrlFetchApp.fetch(primaryUpdateUrl, primaryOptions);
-  if (primaryResponse.getResponseCode() >= 300) {
-    throw new Error('Failed to update primary audit webhook: ' + primaryResponse.getContentText());
-  }
+  const primaryAudit = client.getAudit(primaryAuditId, { fresh: true });
+  primaryAudit.options.webHookUrl = primaryWebhookUrl;
+  client.updateAudit(primaryAuditId, primaryAudit);
   
-  log('INFO', 'webhook_set', 'Primary audit webhook configured: ' + primaryWebhookUrl);
+  log('INFO', 'webhook_set', 'Primary audit webhook configured: ' + config.WEBHOOK_BASE_URL + '?stage=primary (with secret)');
   
-  const secondaryAudit = fetchAuditDetails(secondaryAuditId, config);
+  const secondaryAudit = client.getAudit(secondaryAuditId, { fresh: true });
   secondaryAudit.options.webHookUrl = secondaryWebhookUrl;
+  client.updateAudit(secondaryAuditId, secondaryAudit);
   
-  const secondaryUpdateUrl = config.BASE_URL + '/v2/web-audits/' + secondaryAuditId;
-  const secondaryOptions = {
-    method: 'put',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(secondaryAudit),
-    muteHttpExceptions: true
-  };
-  
-  const secondaryResponse = UrlFetchApp.fetch(secondaryUpdateUrl, secondaryOptions);
-  if (secondaryResponse.getResponseCode() >= 300) {
-    throw new Error('Failed to update secondary audit webhook: ' + secondaryResponse.getContentText());
-  }
-  
-  log('INFO', 'webhook_set', 'Secondary audit webhook configured: ' + secondaryWebhookUrl);
+  log('INFO', 'webhook_set', 'Secondary audit webhook configured: ' + config.WEBHOOK_BASE_URL + '?stage=secondary (with secret)');
 }
@@ -136,17 +136,39 @@ var SheetHelpers = (function() {
     });
   };
   
-  SheetHelpers.joinData = function(leftData, rightData, leftKeyIndex, rightKeyIndex) {
-    var rightMap = {};
+  /**
+   * Key of a row for a single key column index or an array of indexes (composite key)
+   */
+  SheetHelpers.getRowKey = function(row, keyIndexes) {
+    if (typeof keyIndexes === 'number') {
+      return row[keyIndexes];
+    }
+    
+    return JSON.stringify(keyIndexes.map(function(index) {
+      return row[index];
+    }));
+  };
+  
+  /**
+   * Group rows by key (see getRowKey), keeping their order within each key
+   */
+  SheetHelpers.indexRows = function(data, keyIndexes) {
+    var index = {};
     
-    for (var i = 0; i < rightData.length; i++) {
-      var key = rightData[i][rightKeyIndex];
-      if (!rightMap[key]) {
-        rightMap[key] = [];
+    for (var i = 0; i < data.length; i++) {
+      var key = this.getRowKey(data[i], keyIndexes);
+      if (!index[key]) {
+        index[key] = [];
       }
-      rightMap[key].push(rightData[i]);
+      index[key].push(data[i]);
     }
     
+    return index;
+  };
+  
+  SheetHelpers.joinData = function(leftData, rightData, leftKeyIndex, rightKeyIndex) {
+    var rightMap = this.indexRows(rightData, rightKeyIndex);
+    
     var result = [];
     
     for (var j = 0; j < leftData.length; j++) {
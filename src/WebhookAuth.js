@@ -0,0 +1,130 @@
+/**
+ * Webhook authentication for the Broken External Links workflow
+ * 
+ * The Web App accepts POSTs from anyone, so every webhook call must carry
+ * this sheet's secret (?secret=...), which configureWebhooks appends to the
+ * URLs it registers. The secret is compared in constant time. The body that
+ * ObservePoint posts is parsed for the audit and run IDs, and the audit must
+ * be the one configured for the stage. Rejected calls are logged with their
+ * reason and never reach the stage handlers.
+ * 
+ * Sheets set up before secrets existed have none yet: their calls are
+ * rejected until the Setup Wizard runs again or Test Setup creates the secret
+ * and shows the URLs to register.
+ */
+
+const WEBHOOK_SECRET_KEY = 'WEBHOOK_SECRET';
+
+/**
+ * This sheet's webhook secret, created on first use when `create` is set
+ */
+function getWebhookSecret(create) {
+  const props = PropertiesService.getDocumentProperties();
+  let secret = props.getProperty(WEBHOOK_SECRET_KEY);
+  
+  if (!secret && create) {
+    secret = (Utilities.getUuid() + Utilities.getUuid()).replace(/-/g, '');
+    props.setProperty(WEBHOOK_SECRET_KEY, secret);
+    log('INFO', 'webhook_secret', 'Created webhook secret for this sheet');
+  }
+  
+  return secret;
+}
+
+/**
+ * Webhook URL of a stage, with the sheet's secret
+ */
+function getWebhookUrl(config, stage) {
+  return config.WEBHOOK_BASE_URL + '?stage=' + stage + '&secret=' + encodeURIComponent(getWebhookSecret(true));
+}
+
+/**
+ * Audit and run IDs from the body ObservePoint posts ({} when there is none)
+ */
+function parseWebhookPayload(e) {
+  const contents = e && e.postData && e.postData.contents;
+  if (!contents) {
+    return {};
+  }
+  
+  let body;
+  try {
+    body = JSON.parse(contents);
+  } catch (err) {
+    throw new Error('Webhook body is not valid JSON');
+  }
+  
+  const auditId = firstDefined(body, ['auditId', 'webAuditId', 'audit_id']);
+  const runId = firstDefined(body, ['runId', 'webAuditRunId', 'auditRunId', 'run_id']);
+  
+  return {
+    auditId: auditId !== null ? String(auditId) : null,
+    runId: runId !== null ? String(runId) : null
+  };
+}
+
+function firstDefined(body, keys) {
+  for (let i = 0; i < keys.length; i++) {
+    if (body && body[keys[i]] !== undefined && body[keys[i]] !== null && body[keys[i]] !== '') {
+      return body[keys[i]];
+    }
+  }
+  return null;
+}
+
+/**
+ * Check a webhook call for `stage`. Returns { payload } when it is accepted,
+ * or { reason } when it must be rejected (with the payload once it is parsed,
+ * so the rejection can be logged with its run ID).
+ */
+function verifyWebhookRequest(e, stage, config) {
+  const secret = getWebhookSecret(false);
+  
+  if (!secret) {
+    return { reason: 'no webhook secret configured; run the Setup Wizard (or Test Setup) to create one and register the secured webhook URLs' };
+  }
+  
+  if (!secretsMatch(e && e.parameter && e.parameter.secret, secret)) {
+    return { reason: 'missing or invalid secret' };
+  }
+  
+  let payload;
+  try {
+    payload = parseWebhookPayload(e);
+  } catch (err) {
+    return { reason: err.message };
+  }
+  
+  const expectedAuditId = String(stage === 'primary' ? config.PRIMARY_AUDIT_ID : config.SECONDARY_AUDIT_ID).trim();
+  
+  if (expectedAuditId) {
+    if (!payload.auditId) {
+      return { reason: 'webhook body has no audit ID', payload: payload };
+    }
+    if (payload.auditId !== expectedAuditId) {
+      return { reason: 'audit ' + payload.auditId + ' is not the ' + stage + ' audit (' + expectedAuditId + ')', payload: payload };
+    }
+  }
+  
+  return { payload: payload };
+}
+
+/**
+ * Constant-time comparison: SHA-256 digests of both values (fixed length)
+ * are compared byte by byte without stopping at the first difference
+ */
+function secretsMatch(provided, secret) {
+  if (!provided) {
+    return false;
+  }
+  
+  const a = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(provided));
+  const b = Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(secret));
+  let diff = 0;
+  
+  for (let i = 0; i < a.length; i++) {
+    diff |= a[i] ^ b[i];
+  }
+  
+  return diff === 0;
+}
@@ -2,8 +2,12 @@
  * ObservePoint Broken External Links Workflow
  * 
  * Webhook endpoints:
- * - Primary: ?stage=primary (triggered when main audit completes)
- * - Secondary: ?stage=secondary (triggered when external links audit completes)
+ * - Primary: ?stage=primary&secret=... (triggered when main audit completes)
+ * - Secondary: ?stage=secondary&secret=... (triggered when external links audit completes)
+ * Calls without this sheet's secret, or for another audit, are rejected (see WebhookAuth.js).
+ * Accepted calls are queued and processed by a time-driven worker (see WebhookQueue.js).
+ * Deliveries are keyed by audit run ID: a repeated delivery of a run is ignored, and
+ * manual runs wait for the worker, so the stages never run twice at once.
  * 
  * Setup:
  * 1. Run initializeConfigSheet() to create Config and Setup sheets
@@ -11,9 +15,20 @@
  * 3. Follow steps in Setup_Instructions sheet
  * 4. Use "ObservePoint" menu > "Test Setup" to validate configuration
  * 5. Deploy as Web App (Execute as: Me, Access: Anyone)
- * 6. Configure ObservePoint webhooks with ?stage=primary and ?stage=secondary
+ * 6. Configure ObservePoint webhooks with the URLs shown by Test Setup
  */
 
+// How long a manual run waits for a webhook run in progress to finish
+const WEBHOOK_RUN_LEASE_WAIT_MS = 30 * 1000;
+
+// Webhook runs are serialized by a lease in the document properties. It lasts
+// longer than an execution can, so the lease of a killed execution expires.
+const WEBHOOK_RUN_LEASE_KEY = 'WEBHOOK_RUN_LEASE';
+const WEBHOOK_RUN_LEASE_MS = 7 * 60 * 1000;
+
+// Source pages listed per broken link in the Broken_Links_Summary sheet
+const BROKEN_LINK_SAMPLE_PAGES = 5;
+
 const SHEET_NAMES = {
   CONFIG: 'Config',
   SETUP: 'Setup_Instructions',
@@ -21,6 +36,9 @@ const SHEET_NAMES = {
   UNIQUE_URLS: 'Unique_Link_URLs',
   BROKEN_REPORT: 'Broken_Links_Report',
   FINAL_REPORT: 'Final_Broken_Links',
+  BROKEN_LINKS_SUMMARY: 'Broken_Links_Summary',
+  BROKEN_LINKS_HISTORY: 'Broken_Links_History',
+  BROKEN_LINKS_TREND: 'Broken_Links_Trend',
   LOG: 'Execution_Log'
 };
 
@@ -37,7 +55,8 @@ function getConfig() {
     throw new Error('Config sheet not found. Run initializeConfigSheet() first.');
   }
   
-  const data = configSheet.getRange('A2:B10').getValues();
+  // Extra rows such as COLUMN_CATALOG go below the wizard's settings
+  const data = configSheet.getRange('A2:B20').getValues();
   const config = {};
   
   data.forEach(function(row) {
@@ -59,88 +78,146 @@ function getConfig() {
     BROKEN_REPORT_ID: config.BROKEN_REPORT_ID || '',
     SECONDARY_AUDIT_ID: config.SECONDARY_AUDIT_ID || '',
     WEBHOOK_BASE_URL: config.WEBHOOK_BASE_URL || '',
+    COLUMN_CATALOG: String(config.COLUMN_CATALOG).toUpperCase() === 'TRUE',
     BASE_URL: 'https://api.observepoint.com'
   };
 }
 
+/**
+ * Build an ObservePointClient from a config object (getConfig / getConfigForSetup).
+ * Saved report and audit responses are cached, so retries and setup steps
+ * reuse them. The column catalog is used only with COLUMN_CATALOG = TRUE.
+ */
+function getApiClient(config) {
+  return new ObservePointClient(config.API_KEY, { baseUrl: config.BASE_URL, cache: true, columnCatalog: config.COLUMN_CATALOG });
+}
+
 /**
  * Main webhook handler - call this from your sheet's doPost() wrapper
  * Example: function doPost(e) { return BrokenLinksLib.doPostHandler(e); }
  */
 function doPostHandler(e) {
   const stage = (e && e.parameter && e.parameter.stage || '').toLowerCase();
+  let runId = '';
   
   if (!stage) {
-    log('ERROR', 'webhook', 'Missing stage parameter');
+    log('ERROR', 'webhook', 'Missing stage parameter', runId);
     return ContentService.createTextOutput('Missing stage parameter').setMimeType(ContentService.MimeType.TEXT);
   }
   
   try {
-    if (stage === 'primary') {
-      handlePrimaryAuditComplete();
-    } else if (stage === 'secondary') {
-      handleSecondaryAuditComplete();
-    } else {
+    if (stage !== 'primary' && stage !== 'secondary') {
       throw new Error('Unknown stage: ' + stage);
     }
     
+    const verification = verifyWebhookRequest(e, stage, getConfig());
+    runId = verification.payload && verification.payload.runId || '';
+    
+    if (verification.reason) {
+      log('WARN', 'webhook_rejected', 'Rejected ' + stage + ' webhook: ' + verification.reason, runId);
+      return ContentService.createTextOutput('Rejected').setMimeType(ContentService.MimeType.TEXT);
+    }
+    
+    log('INFO', 'webhook', 'Accepted ' + stage + ' webhook (audit ' + (verification.payload.auditId || 'unknown') + ', run ' + (runId || 'unknown') + ')', runId);
+    
+    // The stage runs in the queue worker (WebhookQueue.js), so the call returns at once.
+    // A delivery for a run that is already queued or processed is ignored.
+    if (!enqueueWebhookJob(stage, verification.payload)) {
+      return ContentService.createTextOutput('Duplicate').setMimeType(ContentService.MimeType.TEXT);
+    }
+    
     return ContentService.createTextOutput('OK').setMimeType(ContentService.MimeType.TEXT);
   } catch (err) {
     Logger.log('Error: ' + err.message);
-    log('ERROR', stage, err.message + '\n' + (err.stack || ''));
-    return ContentService.createTextOutput('Error: ' + err.message).setMimeType(ContentService.MimeType.TEXT);
+    log('ERROR', stage, err.message + '\n' + (err.stack || ''), runId);
+    return ContentService.createTextOutput('Error: ' + ObservePointErrors.describe(err)).setMimeType(ContentService.MimeType.TEXT);
   }
 }
 
-function handlePrimaryAuditComplete() {
-  processPrimaryReportData();
+/**
+ * Primary stage. `run` is the webhook queue job, or the run of a manual run
+ * (see getManualRun); its runId goes to every log entry. Queue jobs are
+ * retried by the worker, so their report is fetched once per attempt instead
+ * of waiting for it here.
+ */
+function handlePrimaryAuditComplete(run) {
+  const runId = run && run.runId || '';
+  processPrimaryReportData(run);
   
   const config = getConfig();
   const uniqueUrls = getUniqueUrlsFromSheet();
-  updateSecondaryAuditStartingUrls(uniqueUrls, config);
-  log('INFO', 'starting_urls_updated', 'Updated secondary audit starting URLs with ' + uniqueUrls.length + ' URLs');
+  updateSecondaryAuditStartingUrls(uniqueUrls, config, runId);
+  log('INFO', 'starting_urls_updated', 'Updated secondary audit starting URLs with ' + uniqueUrls.length + ' URLs', runId);
 }
 
-function handleSecondaryAuditComplete() {
+/**
+ * Secondary stage. Queue jobs fetch the broken links report once and throw
+ * while it is still empty, so the queue retries them; only the last attempt
+ * accepts an empty report.
+ */
+function handleSecondaryAuditComplete(run) {
   const config = getConfig();
-  log('INFO', 'secondary_start', 'Waiting 30 seconds for data to populate before fetching broken links report ' + config.BROKEN_REPORT_ID);
+  const runId = run && run.runId || '';
+  let brokenData;
   
-  Utilities.sleep(30000);
-  
-  const brokenData = fetchGridReportDataWithRetry(config.BROKEN_REPORT_ID, config, 10, 30);
+  if (run && run.jobId) {
+    log('INFO', 'secondary_start', 'Fetching broken links report ' + config.BROKEN_REPORT_ID, runId);
+    brokenData = fetchGridReportData(config.BROKEN_REPORT_ID, config, runId);
+    
+    if (brokenData.rows.length === 0 && !run.isLastAttempt) {
+      throw new Error('Broken links report has no rows yet');
+    }
+  } else {
+    log('INFO', 'secondary_start', 'Waiting 30 seconds for data to populate before fetching broken links report ' + config.BROKEN_REPORT_ID, runId);
+    
+    Utilities.sleep(30000);
+    
+    brokenData = fetchGridReportDataWithRetry(config.BROKEN_REPORT_ID, config, 10, 30, runId);
+  }
   
   if (!brokenData || brokenData.rows.length === 0) {
-    log('WARN', 'secondary', 'No broken links found after 10 retries. This may be expected if there are no broken links.');
+    log('WARN', 'secondary', 'No broken links found after 10 retries. This may be expected if there are no broken links.', runId);
   }
   
   writeGridDataToSheet(SHEET_NAMES.BROKEN_REPORT, brokenData);
-  log('INFO', 'broken_report', 'Wrote ' + brokenData.rows.length + ' broken links to sheet');
+  log('INFO', 'broken_report', 'Wrote ' + brokenData.rows.length + ' broken links to sheet', runId);
   
   const primaryData = readSheetAsGridData(SHEET_NAMES.PRIMARY_REPORT);
   const joinedData = joinReports(primaryData, brokenData);
   writeJoinedDataToSheet(SHEET_NAMES.FINAL_REPORT, joinedData);
-  log('INFO', 'join_complete', 'Created final report with ' + joinedData.rows.length + ' rows');
+  log('INFO', 'join_complete', 'Created final report with ' + joinedData.rows.length + ' rows', runId);
+  
+  const summary = summarizeBrokenLinks(joinedData, BROKEN_LINK_SAMPLE_PAGES);
+  writeGridDataToSheet(SHEET_NAMES.BROKEN_LINKS_SUMMARY, summary);
+  log('INFO', 'summary_complete', 'Summarized ' + joinedData.rows.length + ' occurrences into ' + summary.rows.length + ' broken links', runId);
+  
+  recordBrokenLinksRun(summary, runId);
 }
 
 function webhooks_manualRunPrimary() {
-  handlePrimaryAuditComplete();
+  withWebhookRunLease(function() {
+    handlePrimaryAuditComplete(getManualRun('primary'));
+  });
 }
 
-function processPrimaryReportData() {
+function processPrimaryReportData(run) {
   const config = getConfig();
-  log('INFO', 'primary_start', 'Fetching primary report ' + config.PRIMARY_REPORT_ID);
+  const runId = run && run.runId || '';
+  log('INFO', 'primary_start', 'Fetching primary report ' + config.PRIMARY_REPORT_ID, runId);
   
-  const reportData = fetchGridReportDataWithRetry(config.PRIMARY_REPORT_ID, config, 10, 30);
+  const reportData = run && run.jobId
+    ? fetchGridReportData(config.PRIMARY_REPORT_ID, config, runId)
+    : fetchGridReportDataWithRetry(config.PRIMARY_REPORT_ID, config, 10, 30, runId);
   
   if (!reportData || reportData.rows.length === 0) {
-    log('ERROR', 'primary', 'No data available after 10 retries. Stopping process.');
+    log('ERROR', 'primary', 'No data available after 10 retries. Stopping process.', runId);
     throw new Error('Primary report has no data after waiting');
   }
   
   writeGridDataToSheet(SHEET_NAMES.PRIMARY_REPORT, reportData);
-  log('INFO', 'primary_report', 'Wrote ' + reportData.rows.length + ' rows to sheet');
+  log('INFO', 'primary_report', 'Wrote ' + reportData.rows.length + ' rows to sheet', runId);
   
-  log('INFO', 'primary_headers', 'Headers: ' + reportData.headers.join(', '));
+  log('INFO', 'primary_headers', 'Headers: ' + reportData.headers.join(', '), runId);
   
   const linkUrlColumnIndex = findColumnIndex(reportData.headers, 'LINK_URL');
   if (linkUrlColumnIndex === -1) {
@@ -149,7 +226,7 @@ function processPrimaryReportData() {
   
   const uniqueUrls = extractUniqueUrls(reportData.rows, linkUrlColumnIndex);
   writeUniqueUrlsToSheet(SHEET_NAMES.UNIQUE_URLS, uniqueUrls);
-  log('INFO', 'unique_urls', 'Extracted ' + uniqueUrls.length + ' unique URLs');
+  log('INFO', 'unique_urls', 'Extracted ' + uniqueUrls.length + ' unique URLs', runId);
   
   return uniqueUrls;
 }
@@ -175,57 +252,125 @@ function getUniqueUrlsFromSheet() {
 }
 
 function webhooks_manualRunSecondary() {
-  handleSecondaryAuditComplete();
+  withWebhookRunLease(function() {
+    handleSecondaryAuditComplete(getManualRun('secondary'));
+  });
+}
+
+/**
+ * Run `fn` holding the webhook run lease that the queue worker holds while it
+ * processes jobs, so a manual run never overlaps a webhook run
+ */
+function withWebhookRunLease(fn) {
+  const lease = acquireWebhookRunLease(WEBHOOK_RUN_LEASE_WAIT_MS);
+  
+  if (!lease) {
+    throw new Error('A webhook run is in progress. Try again when it has finished (see the ' + WEBHOOK_JOBS_SHEET_NAME + ' sheet).');
+  }
+  
+  try {
+    return fn();
+  } finally {
+    releaseWebhookRunLease(lease);
+  }
+}
+
+/**
+ * Take the webhook run lease, waiting up to `waitMs` for the current holder.
+ * Returns the lease token, or null. The document lock is held only while the
+ * lease is checked and written, never for a whole run, so Grid import
+ * continuations (which need that lock) are not held up by webhook runs.
+ */
+function acquireWebhookRunLease(waitMs) {
+  const props = PropertiesService.getDocumentProperties();
+  const deadline = new Date().getTime() + (waitMs || 0);
+  
+  while (true) {
+    const lock = LockService.getDocumentLock();
+    
+    if (lock.tryLock(1000)) {
+      try {
+        const now = new Date().getTime();
+        const current = JSON.parse(props.getProperty(WEBHOOK_RUN_LEASE_KEY) || 'null');
+        
+        if (!current || current.expires < now) {
+          const token = Utilities.getUuid();
+          props.setProperty(WEBHOOK_RUN_LEASE_KEY, JSON.stringify({ token: token, expires: now + WEBHOOK_RUN_LEASE_MS }));
+          return token;
+        }
+      } finally {
+        lock.releaseLock();
+      }
+    }
+    
+    if (new Date().getTime() >= deadline) {
+      return null;
+    }
+    Utilities.sleep(2000);
+  }
+}
+
+/**
+ * Give the lease back. No lock is needed: nobody else can take the lease
+ * while this holder's is still valid.
+ */
+function releaseWebhookRunLease(token) {
+  const props = PropertiesService.getDocumentProperties();
+  const current = JSON.parse(props.getProperty(WEBHOOK_RUN_LEASE_KEY) || 'null');
+  
+  if (current && current.token === token) {
+    props.deleteProperty(WEBHOOK_RUN_LEASE_KEY);
+  }
+}
+
+/**
+ * Run of a manual stage run: the latest run of the stage's audit, so the
+ * logs of a manual run carry a run ID like webhook runs do
+ */
+function getManualRun(stage) {
+  const config = getConfig();
+  const auditId = stage === 'primary' ? config.PRIMARY_AUDIT_ID : config.SECONDARY_AUDIT_ID;
+  let runId = '';
+  
+  try {
+    const latestRun = getApiClient(config).getLatestRun(auditId);
+    runId = latestRun && latestRun.id ? String(latestRun.id) : '';
+  } catch (err) {
+    log('WARN', 'manual_run', 'Could not look up the latest run of audit ' + auditId + ': ' + ObservePointErrors.describe(err), runId);
+  }
+  
+  log('INFO', 'manual_run', 'Manual ' + stage + ' run (audit ' + auditId + ', run ' + (runId || 'unknown') + ')', runId);
+  return { runId: runId };
 }
 
-function fetchGridReportDataWithRetry(reportId, config, maxRetries, waitSeconds) {
+function fetchGridReportDataWithRetry(reportId, config, maxRetries, waitSeconds, runId) {
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
-    log('INFO', 'report_fetch', 'Attempt ' + attempt + ' of ' + maxRetries + ' to fetch report ' + reportId);
+    log('INFO', 'report_fetch', 'Attempt ' + attempt + ' of ' + maxRetries + ' to fetch report ' + reportId, runId);
     
-    const reportData = fetchGridReportData(reportId, config);
+    const reportData = fetchGridReportData(reportId, config, runId);
     
     if (reportData.rows.length > 0) {
-      log('INFO', 'report_fetch', 'Successfully fetched ' + reportData.rows.length + ' rows on attempt ' + attempt);
+      log('INFO', 'report_fetch', 'Successfully fetched ' + reportData.rows.length + ' rows on attempt ' + attempt, runId);
       return reportData;
     }
     
     if (attempt < maxRetries) {
-      log('INFO', 'report_wait', 'Report has 0 rows. Waiting ' + waitSeconds + ' seconds before retry ' + (attempt + 1) + '...');
+      log('INFO', 'report_wait', 'Report has 0 rows. Waiting ' + waitSeconds + ' seconds before retry ' + (attempt + 1) + '...', runId);
       Utilities.sleep(waitSeconds * 1000);
     }
   }
   
-  log('WARN', 'report_fetch', 'Report still has 0 rows after ' + maxRetries + ' attempts');
+  log('WARN', 'report_fetch', 'Report still has 0 rows after ' + maxRetries + ' attempts', runId);
   return { headers: [], rows: [] };
 }
 
-function fetchGridReportData(reportId, config) {
+function fetchGridReportData(reportId, config, runId) {
+  const client = getApiClient(config);
   const savedReport = fetchSavedReport(reportId, config);
   const gridEntityType = savedReport.gridEntityType;
   const queryDef = savedReport.queryDefinition;
   
-  queryDef.page = 0;
-  queryDef.size = 1000;
-  
-  const url = config.BASE_URL + '/v3/reports/grid/' + gridEntityType;
-  const options = {
-    method: 'post',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(queryDef),
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options);
-  const code = response.getResponseCode();
-  
-  if (code >= 300) {
-    throw new Error('Grid data fetch failed (' + code + '): ' + response.getContentText());
-  }
-  
-  const result = JSON.parse(response.getContentText());
+  const result = client.fetchGridData(gridEntityType, queryDef, 0, 1000);
   
   const headers = result.metadata.headers.map(function(h) { 
     return h.column ? h.column.columnId : h.columnId; 
@@ -234,95 +379,47 @@ function fetchGridReportData(reportId, config) {
   
   let allRows = rows;
   
-  log('INFO', 'pagination_debug', 'Pagination object: ' + JSON.stringify(result.metadata.pagination));
+  log('INFO', 'pagination_debug', 'Pagination object: ' + JSON.stringify(result.metadata.pagination), runId);
   
   const totalPages = result.metadata.pagination.totalPageCount;
   const totalElements = result.metadata.pagination.totalCount || 'unknown';
   
-  log('INFO', 'pagination', 'Total pages: ' + totalPages + ', Total elements: ' + totalElements + ', First page rows: ' + rows.length);
+  log('INFO', 'pagination', 'Total pages: ' + totalPages + ', Total elements: ' + totalElements + ', First page rows: ' + rows.length, runId);
   
+  // Remaining pages are fetched in parallel batches, in page order
+  const pages = [];
   for (let page = 1; page < totalPages; page++) {
-    log('INFO', 'pagination', 'Fetching page ' + page + ' of ' + (totalPages - 1));
-    queryDef.page = page;
-    const pageResponse = UrlFetchApp.fetch(url, {
-      method: 'post',
-      headers: options.headers,
-      payload: JSON.stringify(queryDef),
-      muteHttpExceptions: true
-    });
-    
-    if (pageResponse.getResponseCode() === 200) {
-      const pageResult = JSON.parse(pageResponse.getContentText());
+    pages.push(page);
+  }
+  
+  if (pages.length > 0) {
+    log('INFO', 'pagination', 'Fetching pages 1-' + (totalPages - 1) + ', up to ' + client.parallelism + ' at a time', runId);
+    client.fetchGridPages(gridEntityType, queryDef, pages, 1000).forEach(function(pageResult, i) {
       allRows = allRows.concat(pageResult.rows || []);
-      log('INFO', 'pagination', 'Page ' + page + ' added ' + (pageResult.rows || []).length + ' rows. Total now: ' + allRows.length);
-    }
+      log('INFO', 'pagination', 'Page ' + pages[i] + ' added ' + (pageResult.rows || []).length + ' rows. Total now: ' + allRows.length, runId);
+    });
   }
   
-  log('INFO', 'pagination', 'Finished fetching all pages. Final row count: ' + allRows.length);
+  log('INFO', 'pagination', 'Finished fetching all pages. Final row count: ' + allRows.length, runId);
   
   return { headers: headers, rows: allRows };
 }
 
 function fetchSavedReport(reportId, config) {
-  const url = config.BASE_URL + '/v3/reports/grid/saved/' + reportId;
-  const options = {
-    method: 'get',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Accept': 'application/json'
-    },
-    muteHttpExceptions: true
-  };
-  
-  const response = UrlFetchApp.fetch(url, options);
-  const code = response.getResponseCode();
-  
-  if (code >= 300) {
-    throw new Error('Saved report fetch failed (' + code + '): ' + response.getContentText());
-  }
-  
-  return JSON.parse(response.getContentText());
+  return getApiClient(config).getSavedReport(reportId);
 }
 
-function updateSecondaryAuditStartingUrls(urls, config) {
+function updateSecondaryAuditStartingUrls(urls, config, runId) {
   const auditId = config.SECONDARY_AUDIT_ID;
+  const client = getApiClient(config);
   
-  const getUrl = config.BASE_URL + '/v2/web-audits/' + auditId;
-  const getOptions = {
-    method: 'get',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Accept': 'application/json'
-    },
-    muteHttpExceptions: true
-  };
-  
-  const getResponse = UrlFetchApp.fetch(getUrl, getOptions);
-  if (getResponse.getResponseCode() >= 300) {
-    throw new Error('Audit fetch failed: ' + getResponse.getContentText());
-  }
-  
-  const audit = JSON.parse(getResponse.getContentText());
+  const audit = client.getAudit(auditId, { fresh: true });
   audit.startingUrls = urls;
   audit.limit = urls.length;
   
-  const updateUrl = config.BASE_URL + '/v2/web-audits/' + auditId;
-  const updateOptions = {
-    method: 'put',
-    headers: {
-      'Authorization': 'api_key ' + config.API_KEY,
-      'Content-Type': 'application/json'
-    },
-    payload: JSON.stringify(audit),
-    muteHttpExceptions: true
-  };
-  
-  const updateResponse = UrlFetchApp.fetch(updateUrl, updateOptions);
-  if (updateResponse.getResponseCode() >= 300) {
-    throw new Error('Audit update failed: ' + updateResponse.getContentText());
-  }
+  client.updateAudit(auditId, audit);
   
-  log('INFO', 'audit_updated', 'Secondary audit starting URLs updated with ' + urls.length + ' URLs');
+  log('INFO', 'audit_updated', 'Secondary audit starting URLs updated with ' + urls.length + ' URLs', runId);
 }
 
 function filterBrokenLinks(gridData) {
@@ -347,6 +444,11 @@ function filterBrokenLinks(gridData) {
   });
 }
 
+/**
+ * Join the primary report (one row per link on a source page) with the broken
+ * links report (one row per tested link URL). Every primary row of a broken
+ * link is kept, so the result has one row per (source page, link) occurrence.
+ */
 function joinReports(primaryData, brokenData) {
   const primaryLinkUrlIndex = findColumnIndex(primaryData.headers, 'LINK_URL');
   const primarySourcePageIndex = findColumnIndex(primaryData.headers, 'FINAL_PAGE_URL');
@@ -361,7 +463,7 @@ function joinReports(primaryData, brokenData) {
   primaryData.rows.forEach(function(row) {
     const linkUrl = row[primaryLinkUrlIndex];
     if (linkUrl) {
-      primaryMap[linkUrl] = row;
+      (primaryMap[linkUrl] = primaryMap[linkUrl] || []).push(row);
     }
   });
   
@@ -375,12 +477,19 @@ function joinReports(primaryData, brokenData) {
   ];
   
   const joinedRows = [];
+  const joinedLinks = {};
   
   brokenData.rows.forEach(function(brokenRow) {
     const initialPageUrl = brokenRow[secondaryInitialPageIndex];
-    const primaryRow = primaryMap[initialPageUrl];
+    const primaryRows = primaryMap[initialPageUrl];
     
-    if (primaryRow) {
+    // A link URL tested more than once would repeat all of its occurrences
+    if (!primaryRows || joinedLinks[initialPageUrl]) {
+      return;
+    }
+    joinedLinks[initialPageUrl] = true;
+    
+    primaryRows.forEach(function(primaryRow) {
       joinedRows.push([
         primarySourcePageIndex >= 0 ? primaryRow[primarySourcePageIndex] : '',
         primaryLinkUrlIndex >= 0 ? primaryRow[primaryLinkUrlIndex] : '',
@@ -389,12 +498,60 @@ function joinReports(primaryData, brokenData) {
         secondaryFinalPageIndex >= 0 ? brokenRow[secondaryFinalPageIndex] : '',
         secondaryFinalStatusIndex >= 0 ? brokenRow[secondaryFinalStatusIndex] : ''
       ]);
-    }
+    });
   });
   
   return { headers: joinedHeaders, rows: joinedRows };
 }
 
+/**
+ * One row per broken link of the joined report: its occurrence count, the
+ * number of distinct source pages and up to `sampleSize` of those pages,
+ * most frequent links first
+ */
+function summarizeBrokenLinks(joinedData, sampleSize) {
+  const links = {};
+  const order = [];
+  
+  joinedData.rows.forEach(function(row) {
+    const sourcePage = row[0];
+    const linkUrl = row[1];
+    let link = links[linkUrl];
+    
+    if (!link) {
+      link = links[linkUrl] = { linkUrl: linkUrl, destinationUrl: row[4], statusCode: row[5], occurrences: 0, pages: {}, pageCount: 0, samplePages: [] };
+      order.push(link);
+    }
+    
+    link.occurrences++;
+    if (sourcePage && !link.pages[sourcePage]) {
+      link.pages[sourcePage] = true;
+      link.pageCount++;
+      if (link.samplePages.length < sampleSize) {
+        link.samplePages.push(sourcePage);
+      }
+    }
+  });
+  
+  order.sort(function(a, b) {
+    return b.occurrences - a.occurrences;
+  });
+  
+  return {
+    headers: [
+      'External Link URL',
+      'External Link Destination URL',
+      'External Link Status Code',
+      'Occurrences',
+      'Source Pages',
+      'Sample Source Pages'
+    ],
+    rows: order.map(function(link) {
+      return [link.linkUrl, link.destinationUrl, link.statusCode, link.occurrences, link.pageCount, link.samplePages.join('\n')];
+    })
+  };
+}
+
 function findColumnIndex(headers, columnId) {
   for (let i = 0; i < headers.length; i++) {
     if (headers[i] === columnId) {
@@ -589,13 +746,13 @@ function webhooks_initConfig() {
     [''],
     ['STEP 7: Configure Primary Audit Webhook'],
     ['7.1', 'In ObservePoint, go to your primary audit settings'],
-    ['7.2', 'Add a webhook with URL: YOUR_WEB_APP_URL?stage=primary'],
+    ['7.2', 'Add a webhook with the primary URL shown by Test Setup (YOUR_WEB_APP_URL?stage=primary&secret=...)'],
     ['7.3', 'Set trigger to: On audit completion'],
     ['7.4', 'Save the webhook configuration'],
     [''],
     ['STEP 8: Configure Secondary Audit Webhook'],
     ['8.1', 'In ObservePoint, go to your secondary audit settings'],
-    ['8.2', 'Add a webhook with URL: YOUR_WEB_APP_URL?stage=secondary'],
+    ['8.2', 'Add a webhook with the secondary URL shown by Test Setup (YOUR_WEB_APP_URL?stage=secondary&secret=...)'],
     ['8.3', 'Set trigger to: On audit completion'],
     ['8.4', 'Save the webhook configuration'],
     [''],
@@ -607,7 +764,9 @@ function webhooks_initConfig() {
     ['', '- Primary_Report (all external links from your pages)'],
     ['', '- Unique_Link_URLs (deduplicated list)'],
     ['', '- Broken_Links_Report (filtered broken links)'],
-    ['', '- Final_Broken_Links (joined report showing which pages have broken links)'],
+    ['', '- Final_Broken_Links (one row for every page a broken link appears on)'],
+    ['', '- Broken_Links_Summary (one row per broken link with its occurrence count and sample pages)'],
+    ['', '- Broken_Links_History (the results of every run) and Broken_Links_Trend (new, fixed and regressed links over time)'],
     [''],
     ['TROUBLESHOOTING'],
     ['', 'Check Execution_Log sheet for error messages'],
@@ -654,6 +813,52 @@ function webhooks_initConfig() {
   );
 }
 
+/**
+ * Add the result of checking a saved report's query against the Grid column catalog
+ */
+function pushCatalogCheck(results, report, config) {
+  if (!config.COLUMN_CATALOG) {
+    results.push('  - Column catalog check off (add a COLUMN_CATALOG row set to TRUE in Config to enable)');
+    return;
+  }
+  
+  const client = getApiClient(config);
+  
+  if (!client.getGridColumns(report.gridEntityType)) {
+    results.push('  - Column catalog unavailable, query not checked');
+    return;
+  }
+  
+  const errors = client.validateQueryDefinition(report.gridEntityType, report.queryDefinition);
+  if (errors.length === 0) {
+    results.push('  - ✓ All columns and filters match the ' + report.gridEntityType + ' column catalog');
+  } else {
+    errors.forEach(function(error) {
+      results.push('  - ⚠️ ' + error);
+    });
+  }
+}
+
+/**
+ * Webhook URLs to register in ObservePoint, creating the sheet's secret if needed
+ */
+function pushWebhookUrls(results, config) {
+  results.push('🔐 Webhook URLs...');
+  
+  if (!config.WEBHOOK_BASE_URL) {
+    results.push('  - ⚠️ WEBHOOK_BASE_URL is not set in the Config sheet');
+    results.push('');
+    return;
+  }
+  
+  if (!getWebhookSecret(false)) {
+    results.push('  - ⚠️ Created a webhook secret. Update both webhooks in ObservePoint to these URLs; calls without the secret are rejected');
+  }
+  results.push('  - Primary: ' + getWebhookUrl(config, 'primary'));
+  results.push('  - Secondary: ' + getWebhookUrl(config, 'secondary'));
+  results.push('');
+}
+
 function testSetup() {
   const ui = SpreadsheetApp.getUi();
   const results = [];
@@ -713,9 +918,10 @@ function testSetup() {
         results.push('  - ⚠️ LINK_URL column not found - report may not work correctly');
       }
       
+      pushCatalogCheck(results, primaryReport, config);
       results.push('');
     } catch (err) {
-      results.push('❌ Failed to fetch primary report: ' + err.message);
+      results.push('❌ Failed to fetch primary report: ' + ObservePointErrors.describe(err));
       results.push('');
       allPassed = false;
     }
@@ -746,46 +952,31 @@ function testSetup() {
         results.push('  - ⚠️ Status code column not found - report may not work correctly');
       }
       
+      pushCatalogCheck(results, brokenReport, config);
       results.push('');
     } catch (err) {
-      results.push('❌ Failed to fetch broken links report: ' + err.message);
+      results.push('❌ Failed to fetch broken links report: ' + ObservePointErrors.describe(err));
       results.push('');
       allPassed = false;
     }
     
     results.push('🔧 Testing Secondary Audit (' + config.SECONDARY_AUDIT_ID + ')...');
     try {
-      const auditUrl = config.BASE_URL + '/v2/web-audits/' + config.SECONDARY_AUDIT_ID;
-      const auditOptions = {
-        method: 'get',
-        headers: {
-          'Authorization': 'api_key ' + config.API_KEY,
-          'Accept': 'application/json'
-        },
-        muteHttpExceptions: true
-      };
-      
-      const auditResponse = UrlFetchApp.fetch(auditUrl, auditOptions);
-      const auditCode = auditResponse.getResponseCode();
-      
-      if (auditCode >= 300) {
-        results.push('❌ Failed to fetch audit (' + auditCode + '): ' + auditResponse.getContentText());
-        allPassed = false;
-      } else {
-        const audit = JSON.parse(auditResponse.getContentText());
-        results.push('✓ Secondary audit found: "' + audit.name + '"');
-        results.push('  - Audit ID: ' + audit.id);
-        results.push('  - Current URLs: ' + (audit.urls ? audit.urls.length : 0));
-        results.push('  - Note: This audit will be updated with external links before each run');
-      }
+      const audit = getApiClient(config).getAudit(config.SECONDARY_AUDIT_ID);
+      results.push('✓ Secondary audit found: "' + audit.name + '"');
+      results.push('  - Audit ID: ' + audit.id);
+      results.push('  - Current URLs: ' + (audit.urls ? audit.urls.length : 0));
+      results.push('  - Note: This audit will be updated with external links before each run');
       
       results.push('');
     } catch (err) {
-      results.push('❌ Failed to fetch secondary audit: ' + err.message);
+      results.push('❌ Failed to fetch secondary audit: ' + ObservePointErrors.describe(err));
       results.push('');
       allPassed = false;
     }
     
+    pushWebhookUrls(results, config);
+    
     if (allPassed) {
       results.push('✅ All tests passed!');
       results.push('\nYour ObservePoint configuration is correct.');
@@ -805,9 +996,9 @@ function testSetup() {
       
       log('ERROR', 'test_setup', 'Configuration tests failed');
     }
-    
+  
   } catch (err) {
-    results.push('❌ Test failed: ' + err.message);
+    results.push('❌ Test failed: ' + ObservePointErrors.describe(err));
     results.push('\nStack trace:');
     results.push(err.stack || 'No stack trace available');
     log('ERROR', 'test_setup', err.message);
@@ -839,6 +1030,7 @@ function createSkeletonSheets() {
     { name: SHEET_NAMES.UNIQUE_URLS, headers: [['Link URL']] },
     { name: SHEET_NAMES.BROKEN_REPORT, headers: [['This sheet will be populated when the secondary audit completes']] },
     { name: SHEET_NAMES.FINAL_REPORT, headers: [['Link URL', 'Status Code', 'HTML Element', 'Page URL', 'Link Text']] },
+    { name: SHEET_NAMES.BROKEN_LINKS_SUMMARY, headers: [['External Link URL', 'External Link Destination URL', 'External Link Status Code', 'Occurrences', 'Source Pages', 'Sample Source Pages']] },
     { name: SHEET_NAMES.LOG, headers: [['Timestamp', 'Level', 'Action', 'Message', 'Run ID']] }
   ];
   
@@ -919,7 +1111,9 @@ function manualRunPrimary() {
   }
   
   try {
-    handlePrimaryAuditComplete();
+    withWebhookRunLease(function() {
+      handlePrimaryAuditComplete(getManualRun('primary'));
+    });
     ui.alert(
       'Primary Stage Complete ✅',
       'Primary report processed successfully.\n\n' +
@@ -931,7 +1125,7 @@ function manualRunPrimary() {
   } catch (err) {
     ui.alert(
       'Primary Stage Failed ❌',
-      'Error: ' + err.message + '\n\n' +
+      'Error: ' + ObservePointErrors.describe(err) + '\n\n' +
       'Check the Execution_Log sheet for details.',
       ui.ButtonSet.OK
     );
@@ -959,7 +1153,9 @@ function manualRunSecondary() {
   }
   
   try {
-    handleSecondaryAuditComplete();
+    withWebhookRunLease(function() {
+      handleSecondaryAuditComplete(getManualRun('secondary'));
+    });
     ui.alert(
       'Secondary Stage Complete ✅',
       'Final broken links report created successfully.\n\n' +
@@ -970,7 +1166,7 @@ function manualRunSecondary() {
   } catch (err) {
     ui.alert(
       'Secondary Stage Failed ❌',
-      'Error: ' + err.message + '\n\n' +
+      'Error: ' + ObservePointErrors.describe(err) + '\n\n' +
       'Check the Execution_Log sheet for details.',
       ui.ButtonSet.OK
     );
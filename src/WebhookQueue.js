@@ -0,0 +1,319 @@
+/**
+ * Webhook job queue for the Broken External Links workflow
+ * 
+ * doPostHandler only verifies and enqueues a webhook call, so ObservePoint
+ * gets its response at once. Jobs are rows of the Webhook_Jobs sheet, which
+ * doubles as the job history: stage, audit and run IDs, received time,
+ * status (queued / running / done / failed), attempts and the last error.
+ * 
+ * Jobs are keyed by stage and audit run ID: a delivery for a run that already
+ * has a queued, running or finished job (ObservePoint retrying a webhook, for
+ * example) is ignored. Only a failed job lets a new delivery of its run in.
+ * 
+ * A time-driven trigger runs webhooks_processQueue, which works through the
+ * due jobs in order. It holds the webhook run lease while it does, which
+ * manual runs wait for (withWebhookRunLease). A job whose report is not
+ * populated yet, or that fails, goes back to queued and is retried a minute
+ * later, up to WEBHOOK_JOB_MAX_ATTEMPTS attempts. Secondary jobs first wait 30 seconds
+ * for the audit's data to populate. Before its first job the worker sets a
+ * fallback trigger, so an execution killed mid-job still has its job requeued.
+ */
+
+const WEBHOOK_JOBS_SHEET_NAME = 'Webhook_Jobs';
+const WEBHOOK_QUEUE_HANDLER = 'webhooks_processQueue';
+
+const WEBHOOK_JOB_HEADERS = [
+  'Job ID', 'Stage', 'Audit ID', 'Run ID', 'Received',
+  'Status', 'Attempts', 'Next Attempt', 'Started', 'Finished', 'Error'
+];
+
+const WEBHOOK_JOB_MAX_ATTEMPTS = 10;
+const WEBHOOK_JOB_RETRY_DELAY_MS = 60 * 1000;
+const WEBHOOK_SECONDARY_DELAY_MS = 30 * 1000;
+
+// Stop picking up jobs after this long, leaving room for the job in progress
+const WEBHOOK_WORKER_BUDGET_MS = 3 * 60 * 1000;
+
+// A job still "running" after this long died with its execution and is retried
+const WEBHOOK_JOB_STALE_MS = 7 * 60 * 1000;
+
+// Finished jobs kept in the history
+const WEBHOOK_JOB_HISTORY_LIMIT = 500;
+
+const WEBHOOK_JOB_STATUS_COLORS = {
+  'queued': '#fef7e0',
+  'running': '#e8f0fe',
+  'done': '#e6f4ea',
+  'failed': '#fce8e6'
+};
+
+function getWebhookJobsSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(WEBHOOK_JOBS_SHEET_NAME);
+  
+  if (!sheet) {
+    sheet = ss.insertSheet(WEBHOOK_JOBS_SHEET_NAME);
+    sheet.getRange(1, 1, 1, WEBHOOK_JOB_HEADERS.length).setValues([WEBHOOK_JOB_HEADERS]);
+    sheet.getRange(1, 1, 1, WEBHOOK_JOB_HEADERS.length)
+      .setFontWeight('bold')
+      .setBackground('#4285f4')
+      .setFontColor('#ffffff');
+    sheet.setFrozenRows(1);
+  }
+  
+  return sheet;
+}
+
+/**
+ * Queue a verified webhook call and make sure the worker runs soon. Returns
+ * the job, or null when the delivery is a duplicate of a queued or processed
+ * run. Deliveries are serialized by the script lock of the sheet's doPost
+ * wrapper, so two deliveries of a run cannot both pass the duplicate check.
+ */
+function enqueueWebhookJob(stage, payload) {
+  const sheet = getWebhookJobsSheet();
+  
+  if (payload.runId) {
+    const existing = findWebhookJobForRun(sheet, stage, payload.runId);
+    if (existing) {
+      log('INFO', 'webhook_duplicate', 'Ignored duplicate ' + stage + ' webhook for run ' + payload.runId + ' (job ' + existing.jobId + ' is ' + existing.status + ')', payload.runId);
+      return null;
+    }
+  }
+  
+  const now = new Date();
+  const job = {
+    jobId: Utilities.getUuid(),
+    stage: stage,
+    auditId: payload.auditId || '',
+    runId: payload.runId || '',
+    received: now,
+    status: 'queued',
+    attempts: 0,
+    nextAttempt: new Date(now.getTime() + (stage === 'secondary' ? WEBHOOK_SECONDARY_DELAY_MS : 0)),
+    started: '',
+    finished: '',
+    error: ''
+  };
+  
+  sheet.appendRow(webhookJobToRow(job));
+  
+  // A queued job without a worker would never run, yet would hold its run
+  // against redeliveries: take the row back out so the delivery can be retried
+  try {
+    scheduleWebhookWorker(job.nextAttempt.getTime() - now.getTime());
+  } catch (err) {
+    removeWebhookJob(sheet, job.jobId);
+    log('ERROR', 'webhook_queue_failed', 'Could not schedule the webhook worker, ' + stage + ' job ' + job.jobId + ' was not queued: ' + err.message, job.runId);
+    throw err;
+  }
+  
+  log('INFO', 'webhook_queued', 'Queued ' + stage + ' job ' + job.jobId, job.runId);
+  return job;
+}
+
+function removeWebhookJob(sheet, jobId) {
+  readWebhookJobs(sheet).filter(function(job) {
+    return job.jobId === jobId;
+  }).reverse().forEach(function(job) {
+    sheet.deleteRow(job.row);
+  });
+}
+
+/**
+ * The job that holds a run: any job of the stage and run that has not failed
+ */
+function findWebhookJobForRun(sheet, stage, runId) {
+  return readWebhookJobs(sheet).filter(function(job) {
+    return job.stage === stage && job.runId === String(runId) && job.status !== 'failed';
+  })[0] || null;
+}
+
+function webhookJobToRow(job) {
+  return [
+    job.jobId, job.stage, job.auditId, job.runId, job.received,
+    job.status, job.attempts, job.nextAttempt || '', job.started || '', job.finished || '', job.error || ''
+  ];
+}
+
+function readWebhookJobs(sheet) {
+  const lastRow = sheet.getLastRow();
+  
+  if (lastRow < 2) {
+    return [];
+  }
+  
+  return sheet.getRange(2, 1, lastRow - 1, WEBHOOK_JOB_HEADERS.length).getValues().map(function(row, i) {
+    return {
+      row: i + 2,
+      jobId: String(row[0]),
+      stage: String(row[1]),
+      auditId: String(row[2]),
+      runId: String(row[3]),
+      received: row[4],
+      status: String(row[5]),
+      attempts: Number(row[6]) || 0,
+      nextAttempt: row[7] instanceof Date ? row[7] : null,
+      started: row[8] instanceof Date ? row[8] : null,
+      finished: row[9],
+      error: String(row[10])
+    };
+  });
+}
+
+function writeWebhookJob(sheet, job) {
+  sheet.getRange(job.row, 1, 1, WEBHOOK_JOB_HEADERS.length).setValues([webhookJobToRow(job)]);
+  sheet.getRange(job.row, 6).setBackground(WEBHOOK_JOB_STATUS_COLORS[job.status] || null);
+}
+
+function scheduleWebhookWorker(delayMs) {
+  deleteImportContinuationTriggers(WEBHOOK_QUEUE_HANDLER);
+  ScriptApp.newTrigger(WEBHOOK_QUEUE_HANDLER)
+    .timeBased()
+    .after(Math.max(1000, delayMs))
+    .create();
+}
+
+/**
+ * Trigger handler: run the due jobs, then schedule the next run if jobs remain
+ */
+function webhooks_processQueue() {
+  const lease = acquireWebhookRunLease(0);
+  
+  if (!lease) {
+    // The trigger that started this execution is spent, so schedule another one
+    scheduleWebhookWorker(WEBHOOK_JOB_RETRY_DELAY_MS);
+    log('INFO', 'webhook_queue_busy', 'A webhook run is in progress in another execution, trying again in a minute');
+    return;
+  }
+  
+  const startedAt = new Date().getTime();
+  
+  try {
+    // A fallback in case this execution is killed mid-job: it fires once the
+    // job counts as stale, requeues it and runs the rest. Replaced by the next
+    // due time at the end.
+    scheduleWebhookWorker(WEBHOOK_JOB_STALE_MS + WEBHOOK_JOB_RETRY_DELAY_MS);
+    const sheet = getWebhookJobsSheet();
+    requeueStaleWebhookJobs(sheet);
+    
+    let job;
+    while (new Date().getTime() - startedAt < WEBHOOK_WORKER_BUDGET_MS && (job = getNextWebhookJob(sheet))) {
+      runWebhookJob(sheet, job);
+    }
+    
+    trimWebhookJobHistory(sheet);
+    
+    // A job still running in another execution is due once it counts as stale
+    const pending = readWebhookJobs(sheet).filter(function(queued) {
+      return queued.status === 'queued' || queued.status === 'running';
+    });
+    if (pending.length > 0) {
+      const nextDue = Math.min.apply(null, pending.map(function(queued) {
+        if (queued.status === 'running') {
+          return queued.started ? queued.started.getTime() + WEBHOOK_JOB_STALE_MS + 1000 : 0;
+        }
+        return queued.nextAttempt ? queued.nextAttempt.getTime() : 0;
+      }));
+      scheduleWebhookWorker(nextDue - new Date().getTime());
+    } else {
+      deleteImportContinuationTriggers(WEBHOOK_QUEUE_HANDLER);
+    }
+  } finally {
+    releaseWebhookRunLease(lease);
+  }
+}
+
+/**
+ * Oldest queued job that is due, or null
+ */
+function getNextWebhookJob(sheet) {
+  const now = new Date().getTime();
+  
+  return readWebhookJobs(sheet).filter(function(job) {
+    return job.status === 'queued' && (!job.nextAttempt || job.nextAttempt.getTime() <= now);
+  })[0] || null;
+}
+
+/**
+ * Run one attempt of a job and record the outcome
+ */
+function runWebhookJob(sheet, job) {
+  job.status = 'running';
+  job.attempts++;
+  job.nextAttempt = '';
+  job.started = new Date();
+  job.error = '';
+  writeWebhookJob(sheet, job);
+  SpreadsheetApp.flush();
+  
+  job.isLastAttempt = job.attempts >= WEBHOOK_JOB_MAX_ATTEMPTS;
+  log('INFO', 'webhook_job_start', 'Running ' + job.stage + ' job ' + job.jobId + ' (attempt ' + job.attempts + ' of ' + WEBHOOK_JOB_MAX_ATTEMPTS + ')', job.runId);
+  
+  try {
+    if (job.stage === 'primary') {
+      handlePrimaryAuditComplete(job);
+    } else if (job.stage === 'secondary') {
+      handleSecondaryAuditComplete(job);
+    } else {
+      job.isLastAttempt = true;
+      throw new Error('Unknown stage: ' + job.stage);
+    }
+    
+    job.status = 'done';
+    job.finished = new Date();
+    log('INFO', 'webhook_job_done', 'Finished ' + job.stage + ' job ' + job.jobId, job.runId);
+  } catch (err) {
+    job.error = ObservePointErrors.describe(err);
+    
+    if (job.isLastAttempt) {
+      job.status = 'failed';
+      job.finished = new Date();
+      log('ERROR', 'webhook_job_failed', job.stage + ' job ' + job.jobId + ' failed after ' + job.attempts + ' attempts: ' + err.message + '\n' + (err.stack || ''), job.runId);
+    } else {
+      job.status = 'queued';
+      job.nextAttempt = new Date(new Date().getTime() + WEBHOOK_JOB_RETRY_DELAY_MS);
+      log('WARN', 'webhook_job_retry', job.stage + ' job ' + job.jobId + ' attempt ' + job.attempts + ' failed, retrying in a minute: ' + err.message, job.runId);
+    }
+  }
+  
+  writeWebhookJob(sheet, job);
+}
+
+/**
+ * Jobs left "running" by an execution that timed out count as a failed attempt
+ */
+function requeueStaleWebhookJobs(sheet) {
+  const now = new Date().getTime();
+  
+  readWebhookJobs(sheet).forEach(function(job) {
+    if (job.status === 'running' && job.started && now - job.started.getTime() > WEBHOOK_JOB_STALE_MS) {
+      job.error = 'Execution ended while the job was running';
+      job.status = job.attempts >= WEBHOOK_JOB_MAX_ATTEMPTS ? 'failed' : 'queued';
+      job.finished = job.status === 'failed' ? new Date() : '';
+      job.nextAttempt = job.status === 'queued' ? new Date() : '';
+      writeWebhookJob(sheet, job);
+      log('WARN', 'webhook_job_stale', job.stage + ' job ' + job.jobId + ' did not finish; marked ' + job.status, job.runId);
+    }
+  });
+}
+
+/**
+ * Delete the oldest finished jobs beyond WEBHOOK_JOB_HISTORY_LIMIT
+ */
+function trimWebhookJobHistory(sheet) {
+  const finished = readWebhookJobs(sheet).filter(function(job) {
+    return job.status === 'done' || job.status === 'failed';
+  });
+  
+  finished.slice(0, Math.max(0, finished.length - WEBHOOK_JOB_HISTORY_LIMIT)).reverse().forEach(function(job) {
+    sheet.deleteRow(job.row);
+  });
+}
+
+/**
+ * Menu entry: show the job history
+ */
+function webhooks_viewJobs() {
+  getWebhookJobsSheet().activate();
+}